@@ -0,0 +1,765 @@
+/**
+ * =====================================================
+ * Smart Image Resizer – Animated GIF / WebP
+ * =====================================================
+ * Frame-by-frame decoding and re-encoding for animated inputs, shared by
+ * the page and the resize workers. Frames are decoded fully composited
+ * (ImageDecoder where available, otherwise the GIF decoder and WebP
+ * demuxer below), each one is resized through renderResized() and the
+ * result is written back as an animated GIF or animated WebP.
+ *
+ * An animation is { width, height, repeat, frames: [{ image, duration }] }:
+ *   repeat   – extra plays after the first (Infinity = loop forever)
+ *   duration – frame delay in ms
+ * =====================================================
+ */
+
+const GIF_MAX_CODE = 4096;
+
+// Every frame is held as a full-size bitmap while it's resized, so cap the
+// total decoded pixels (4 bytes each), about 600 MB per render
+const ANIMATION_MAX_PIXELS = 150 * 1000 * 1000;
+
+// =====================================================
+// DETECTION
+// =====================================================
+
+/**
+ * Cheap scan for animation in a GIF or WebP file without decoding pixels.
+ * Returns { type, width, height, frameCount, repeat } for animations,
+ * otherwise null.
+ */
+function readAnimationInfo(buffer) {
+    const bytes = new Uint8Array(buffer);
+    try {
+        if (readFourCC(bytes, 0) === 'GIF8') return readGifAnimationInfo(bytes);
+        if (readFourCC(bytes, 0) === 'RIFF' && readFourCC(bytes, 8) === 'WEBP') return readWebpAnimationInfo(bytes);
+    } catch (err) {
+        console.warn('Could not scan animation:', err);
+    }
+    return null;
+}
+
+function readGifAnimationInfo(bytes) {
+    let pos = 13 + gifColorTableSize(bytes[10]);
+    let frameCount = 0;
+    let repeat = 0;
+
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            if (label === 0xFF && readFourCC(bytes, pos + 1) === 'NETS') repeat = gifLoopsToRepeat(bytes, pos);
+            pos = skipGifSubBlocks(bytes, pos);
+        } else if (block === 0x2C) {
+            frameCount++;
+            pos += 9 + gifColorTableSize(bytes[pos + 8]) + 1;   // Descriptor, local table, LZW code size
+            pos = skipGifSubBlocks(bytes, pos);
+        } else {
+            break;                                             // Trailer (0x3B) or garbage
+        }
+    }
+
+    const width = bytes[6] | (bytes[7] << 8);
+    const height = bytes[8] | (bytes[9] << 8);
+    return frameCount > 1 ? { type: 'image/gif', width, height, frameCount, repeat } : null;
+}
+
+function readWebpAnimationInfo(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    if (readFourCC(bytes, 12) !== 'VP8X' || !(bytes[20] & 0x02)) return null;
+
+    let frameCount = 0;
+    let repeat = Infinity;
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const id = readFourCC(bytes, offset);
+        const size = view.getUint32(offset + 4, true);
+        if (id === 'ANIM') repeat = webpLoopsToRepeat(view.getUint16(offset + 12, true));
+        if (id === 'ANMF') frameCount++;
+        offset += 8 + size + (size & 1);
+    }
+
+    const u24 = (offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+    const width = u24(24) + 1;
+    const height = u24(27) + 1;
+    return frameCount > 1 ? { type: 'image/webp', width, height, frameCount, repeat } : null;
+}
+
+// =====================================================
+// RENDERING
+// =====================================================
+
+/**
+ * Render job for an animated source (job.animation = { type }). Every
+ * frame goes through renderResized(); target-size limits don't apply.
+ */
+async function renderAnimatedJob(sourceBlob, job, onProgress) {
+    const animation = await decodeAnimation(sourceBlob, job.animation.type);
+    try {
+        const results = [];
+        for (let i = 0; i < job.sizes.length; i++) {
+            results.push(await renderAnimatedSize(animation, job, job.sizes[i]));
+            if (onProgress) onProgress(i + 1, job.sizes.length);
+        }
+        return results;
+    } finally {
+        animation.frames.forEach(frame => frame.image.close());
+    }
+}
+
+async function renderAnimatedSize(animation, job, size) {
+    const { width, height, format, quality } = size;
+    const encoder = format === 'image/webp'
+        ? createWebpAnimationEncoder(width, height, animation.repeat, quality)
+        : createGifEncoder(width, height, animation.repeat);
+
+    for (const frame of animation.frames) {
+        const canvas = await renderResized(frame.image, job, width, height, format);
+        await encoder.addFrame(canvas, frame.duration);
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+
+    return { blob: encoder.finish(), width, height, quality, targetMet: null };
+}
+
+// =====================================================
+// DECODING
+// =====================================================
+
+async function decodeAnimation(blob, type) {
+    const buffer = await blob.arrayBuffer();
+    checkAnimationSize(readAnimationInfo(buffer));
+
+    if (typeof ImageDecoder !== 'undefined' && await ImageDecoder.isTypeSupported(type)) {
+        try {
+            return await decodeWithImageDecoder(buffer, type);
+        } catch (err) {
+            console.warn('ImageDecoder failed, using the built-in decoder:', err);
+        }
+    }
+
+    return type === 'image/gif' ? decodeGif(buffer) : decodeAnimatedWebp(buffer);
+}
+
+/**
+ * Refuse animations whose decoded frames wouldn't fit in memory, before
+ * any of them is decoded
+ */
+function checkAnimationSize(info) {
+    if (!info || info.width * info.height * info.frameCount <= ANIMATION_MAX_PIXELS) return;
+    throw new Error(`Animation is too large to resize in the browser (${info.frameCount} frames at ${info.width}×${info.height}). Remove frames or make it smaller first.`);
+}
+
+/**
+ * WebCodecs ImageDecoder hands back fully composited frames
+ */
+async function decodeWithImageDecoder(buffer, type) {
+    const decoder = new ImageDecoder({ data: buffer, type });
+    const frames = [];
+    try {
+        await decoder.completed;
+        const track = decoder.tracks.selectedTrack;
+        for (let i = 0; i < track.frameCount; i++) {
+            const { image } = await decoder.decode({ frameIndex: i });
+            frames.push({ image: await createImageBitmap(image), duration: Math.round((image.duration || 0) / 1000) });
+            image.close();
+        }
+        const [{ image: first }] = frames;
+        return { width: first.width, height: first.height, repeat: track.repetitionCount, frames };
+    } catch (err) {
+        frames.forEach(frame => frame.image.close());
+        throw err;
+    } finally {
+        decoder.close();
+    }
+}
+
+/**
+ * Decode every frame of a GIF, applying transparency and disposal so each
+ * frame is the full picture shown at that point
+ */
+async function decodeGif(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const width = bytes[6] | (bytes[7] << 8);
+    const height = bytes[8] | (bytes[9] << 8);
+    const globalTable = bytes[10] & 0x80 ? bytes.subarray(13, 13 + gifColorTableSize(bytes[10])) : null;
+
+    const screen = new Uint8ClampedArray(width * height * 4);  // Starts transparent
+    const frames = [];
+    let repeat = 0;
+    let control = { disposal: 0, transparent: -1, delay: 0 };
+    let pos = 13 + gifColorTableSize(bytes[10]);
+
+    while (pos < bytes.length) {
+        const block = bytes[pos++];
+
+        if (block === 0x21) {
+            const label = bytes[pos++];
+            if (label === 0xF9) {
+                // Graphic Control Extension: applies to the next image only
+                const flags = bytes[pos + 1];
+                control = {
+                    disposal: (flags >> 2) & 0x07,
+                    transparent: flags & 0x01 ? bytes[pos + 4] : -1,
+                    delay: (bytes[pos + 2] | (bytes[pos + 3] << 8)) * 10,
+                };
+            } else if (label === 0xFF && readFourCC(bytes, pos + 1) === 'NETS') {
+                repeat = gifLoopsToRepeat(bytes, pos);
+            }
+            pos = skipGifSubBlocks(bytes, pos);
+        } else if (block === 0x2C) {
+            const rect = {
+                x: bytes[pos] | (bytes[pos + 1] << 8),
+                y: bytes[pos + 2] | (bytes[pos + 3] << 8),
+                w: bytes[pos + 4] | (bytes[pos + 5] << 8),
+                h: bytes[pos + 6] | (bytes[pos + 7] << 8),
+            };
+            const flags = bytes[pos + 8];
+            pos += 9;
+
+            let table = globalTable;
+            if (flags & 0x80) {
+                table = bytes.subarray(pos, pos + gifColorTableSize(flags));
+                pos += gifColorTableSize(flags);
+            }
+
+            const minCodeSize = bytes[pos++];
+            const end = skipGifSubBlocks(bytes, pos);
+            const indices = lzwDecode(joinGifSubBlocks(bytes, pos, end), minCodeSize, rect.w * rect.h);
+            pos = end;
+
+            const previous = control.disposal === 3 ? screen.slice() : null;
+            drawGifFrame(screen, width, height, rect, indices, table, control.transparent, Boolean(flags & 0x40));
+            frames.push({
+                image: await createImageBitmap(new ImageData(screen.slice(), width, height)),
+                duration: control.delay,
+            });
+
+            if (control.disposal === 2) clearRect(screen, width, height, rect);
+            if (previous) screen.set(previous);
+            control = { disposal: 0, transparent: -1, delay: 0 };
+        } else {
+            break;
+        }
+    }
+
+    if (!frames.length) throw new Error('GIF has no frames');
+    return { width, height, repeat, frames };
+}
+
+function drawGifFrame(screen, width, height, rect, indices, table, transparent, interlaced) {
+    if (!table) return;
+    const rows = interlaced ? gifInterlacedRows(rect.h) : null;
+
+    for (let row = 0; row < rect.h; row++) {
+        const y = rect.y + (rows ? rows[row] : row);
+        if (y >= height) continue;
+        for (let col = 0; col < rect.w; col++) {
+            const x = rect.x + col;
+            const index = indices[row * rect.w + col];
+            if (x >= width || index === transparent) continue;
+            const p = (y * width + x) * 4;
+            screen[p] = table[index * 3];
+            screen[p + 1] = table[index * 3 + 1];
+            screen[p + 2] = table[index * 3 + 2];
+            screen[p + 3] = 255;
+        }
+    }
+}
+
+/**
+ * Row order of an interlaced image: every 8th from 0, every 8th from 4,
+ * every 4th from 2, then every 2nd from 1
+ */
+function gifInterlacedRows(height) {
+    const rows = [];
+    [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+        for (let y = start; y < height; y += step) rows.push(y);
+    });
+    return rows;
+}
+
+function clearRect(pixels, width, height, rect) {
+    for (let y = rect.y; y < Math.min(height, rect.y + rect.h); y++) {
+        const start = (y * width + rect.x) * 4;
+        pixels.fill(0, start, start + Math.min(rect.w, width - rect.x) * 4);
+    }
+}
+
+/**
+ * Variable-width LZW decoder for GIF image data
+ */
+function lzwDecode(data, minCodeSize, pixelCount) {
+    const out = new Uint8Array(pixelCount);
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const prefix = new Uint16Array(GIF_MAX_CODE);
+    const suffix = new Uint8Array(GIF_MAX_CODE);
+    const stack = new Uint8Array(GIF_MAX_CODE + 1);
+    for (let i = 0; i < clearCode; i++) suffix[i] = i;
+
+    let codeSize = minCodeSize + 1;
+    let codeMask = (1 << codeSize) - 1;
+    let nextCode = endCode + 1;
+    let previous = -1;
+    let first = 0;
+    let bits = 0;
+    let datum = 0;
+    let outPos = 0;
+
+    for (let i = 0; i < data.length && outPos < pixelCount; i++) {
+        datum |= data[i] << bits;
+        bits += 8;
+
+        while (bits >= codeSize && outPos < pixelCount) {
+            const code = datum & codeMask;
+            datum >>>= codeSize;
+            bits -= codeSize;
+
+            if (code === clearCode) {
+                codeSize = minCodeSize + 1;
+                codeMask = (1 << codeSize) - 1;
+                nextCode = endCode + 1;
+                previous = -1;
+                continue;
+            }
+            if (code === endCode) return out;
+
+            if (previous === -1) {
+                out[outPos++] = suffix[code];
+                previous = first = code;
+                continue;
+            }
+
+            let top = 0;
+            let current = code;
+            if (code >= nextCode) {
+                // KwKwK case: the code being defined right now
+                stack[top++] = first;
+                current = previous;
+            }
+            while (current > endCode) {
+                stack[top++] = suffix[current];
+                current = prefix[current];
+            }
+            first = suffix[current];
+            stack[top++] = first;
+            while (top && outPos < pixelCount) out[outPos++] = stack[--top];
+
+            if (nextCode < GIF_MAX_CODE) {
+                prefix[nextCode] = previous;
+                suffix[nextCode] = first;
+                nextCode++;
+                if ((nextCode & codeMask) === 0 && nextCode < GIF_MAX_CODE) {
+                    codeSize++;
+                    codeMask = (1 << codeSize) - 1;
+                }
+            }
+            previous = code;
+        }
+    }
+
+    return out;
+}
+
+/**
+ * Decode an animated WebP by turning each ANMF frame into a still WebP,
+ * decoding it natively and compositing it onto the canvas
+ */
+async function decodeAnimatedWebp(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+    const u24 = (offset) => bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16);
+
+    let width = 0;
+    let height = 0;
+    let repeat = Infinity;
+    let canvas = null;
+    let ctx = null;
+    const frames = [];
+
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const id = readFourCC(bytes, offset);
+        const size = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+
+        if (id === 'VP8X') {
+            width = u24(start + 4) + 1;
+            height = u24(start + 7) + 1;
+            canvas = createCanvas(width, height);
+            ctx = canvas.getContext('2d');
+        } else if (id === 'ANIM') {
+            repeat = webpLoopsToRepeat(view.getUint16(start + 4, true));
+        } else if (id === 'ANMF' && ctx) {
+            const x = u24(start) * 2;
+            const y = u24(start + 3) * 2;
+            const w = u24(start + 6) + 1;
+            const h = u24(start + 9) + 1;
+            const flags = bytes[start + 15];
+
+            const still = await createImageBitmap(stillWebp(bytes.subarray(start + 16, start + size), w, h));
+            if (flags & 0x02) ctx.clearRect(x, y, w, h);   // Do not blend
+            ctx.drawImage(still, x, y);
+            still.close();
+
+            frames.push({ image: await createImageBitmap(canvas), duration: u24(start + 12) });
+            if (flags & 0x01) ctx.clearRect(x, y, w, h);   // Dispose to background
+        }
+
+        offset = start + size + (size & 1);
+    }
+
+    if (!frames.length) throw new Error('WebP has no animation frames');
+    return { width, height, repeat, frames };
+}
+
+/**
+ * Wrap an ANMF frame's image chunks (ALPH + VP8, or VP8L) as a still WebP
+ */
+function stillWebp(frameData, width, height) {
+    const parts = [];
+    if (readFourCC(frameData, 0) === 'ALPH') {
+        const vp8x = new Uint8Array(10);
+        vp8x[0] = 0x10;                                    // Alpha
+        vp8x.set(uint24LE(width - 1), 4);
+        vp8x.set(uint24LE(height - 1), 7);
+        parts.push(riffChunk('VP8X', vp8x));
+    }
+    parts.push(frameData);
+    return webpFile(parts);
+}
+
+// =====================================================
+// GIF ENCODER
+// =====================================================
+
+/**
+ * Streaming animated GIF writer. Each frame gets its own median-cut
+ * palette (up to 256 colors, one reserved for transparency when needed).
+ */
+function createGifEncoder(width, height, repeat) {
+    const parts = [
+        asciiBytes('GIF89a'),
+        new Uint8Array([width & 0xFF, width >> 8, height & 0xFF, height >> 8, 0, 0, 0]),
+    ];
+
+    if (repeat !== 0) {
+        // NETSCAPE2.0 looping extension; 0 loops forever
+        const loops = repeat === Infinity ? 0 : Math.min(0xFFFF, repeat);
+        parts.push(new Uint8Array([0x21, 0xFF, 0x0B]), asciiBytes('NETSCAPE2.0'),
+            new Uint8Array([0x03, 0x01, loops & 0xFF, loops >> 8, 0x00]));
+    }
+
+    return {
+        async addFrame(canvas, duration) {
+            const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+            const { palette, indices, transparent } = quantizeFrame(data);
+
+            const tableBits = Math.max(1, Math.ceil(Math.log2(palette.length / 3)));
+            const table = new Uint8Array(3 << tableBits);
+            table.set(palette);
+
+            const delay = Math.min(0xFFFF, Math.round(duration / 10));
+            parts.push(
+                // Graphic Control: restore to background so transparent areas don't show older frames
+                new Uint8Array([0x21, 0xF9, 0x04, (2 << 2) | (transparent >= 0 ? 1 : 0),
+                    delay & 0xFF, delay >> 8, Math.max(0, transparent), 0x00]),
+                // Image Descriptor with a local color table
+                new Uint8Array([0x2C, 0, 0, 0, 0, width & 0xFF, width >> 8, height & 0xFF, height >> 8,
+                    0x80 | (tableBits - 1)]),
+                table
+            );
+
+            const minCodeSize = Math.max(2, tableBits);
+            parts.push(new Uint8Array([minCodeSize]), toGifSubBlocks(lzwEncode(indices, minCodeSize)));
+        },
+
+        finish() {
+            parts.push(new Uint8Array([0x3B]));
+            return new Blob(parts, { type: 'image/gif' });
+        },
+    };
+}
+
+/**
+ * Median-cut quantization over a 15-bit color histogram. Palette entries
+ * are the average of the exact colors in each box, so images with few
+ * colors come through unchanged. Pixels under 50% alpha become transparent.
+ */
+function quantizeFrame(data) {
+    const counts = new Uint32Array(32768);
+    const sums = new Float64Array(32768 * 3);
+    let hasTransparency = false;
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] < 128) {
+            hasTransparency = true;
+            continue;
+        }
+        const key = ((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3);
+        counts[key]++;
+        sums[key * 3] += data[i];
+        sums[key * 3 + 1] += data[i + 1];
+        sums[key * 3 + 2] += data[i + 2];
+    }
+
+    const keys = [];
+    for (let key = 0; key < counts.length; key++) if (counts[key]) keys.push(key);
+
+    const maxColors = hasTransparency ? 255 : 256;
+    const boxes = keys.length ? [createColorBox(keys, counts)] : [];
+    while (boxes.length < maxColors) {
+        let target = -1;
+        boxes.forEach((box, i) => {
+            if (box.keys.length > 1 && (target === -1 || box.range > boxes[target].range ||
+                (box.range === boxes[target].range && box.pixels > boxes[target].pixels))) target = i;
+        });
+        if (target === -1) break;
+        boxes.splice(target, 1, ...splitColorBox(boxes[target], counts));
+    }
+
+    // Palette index per histogram key; index 0 is transparent when needed
+    const offset = hasTransparency ? 1 : 0;
+    const palette = new Uint8Array((boxes.length + offset || 1) * 3);
+    const lookup = new Uint16Array(32768);
+    boxes.forEach((box, i) => {
+        let r = 0, g = 0, b = 0;
+        box.keys.forEach(key => {
+            lookup[key] = i + offset;
+            r += sums[key * 3];
+            g += sums[key * 3 + 1];
+            b += sums[key * 3 + 2];
+        });
+        palette.set([Math.round(r / box.pixels), Math.round(g / box.pixels), Math.round(b / box.pixels)], (i + offset) * 3);
+    });
+
+    const indices = new Uint8Array(data.length / 4);
+    for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+        indices[p] = data[i + 3] < 128
+            ? 0
+            : lookup[((data[i] >> 3) << 10) | ((data[i + 1] >> 3) << 5) | (data[i + 2] >> 3)];
+    }
+
+    return { palette, indices, transparent: hasTransparency ? 0 : -1 };
+}
+
+function createColorBox(keys, counts) {
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    let pixels = 0;
+    keys.forEach(key => {
+        const channels = [key >> 10, (key >> 5) & 31, key & 31];
+        channels.forEach((v, c) => {
+            if (v < min[c]) min[c] = v;
+            if (v > max[c]) max[c] = v;
+        });
+        pixels += counts[key];
+    });
+    const ranges = max.map((v, c) => v - min[c]);
+    const channel = ranges.indexOf(Math.max(...ranges));
+    return { keys, pixels, range: ranges[channel], channel };
+}
+
+/**
+ * Split a box at the pixel-weighted median of its widest channel
+ */
+function splitColorBox(box, counts) {
+    const shift = [10, 5, 0][box.channel];
+    const sorted = box.keys.slice().sort((a, b) => ((a >> shift) & 31) - ((b >> shift) & 31));
+
+    let seen = 0;
+    let cut = 1;
+    for (; cut < sorted.length - 1; cut++) {
+        seen += counts[sorted[cut - 1]];
+        if (seen >= box.pixels / 2) break;
+    }
+    return [createColorBox(sorted.slice(0, cut), counts), createColorBox(sorted.slice(cut), counts)];
+}
+
+/**
+ * Variable-width LZW encoder for GIF image data
+ */
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const out = [];
+    const dictionary = new Map();
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bitBuffer = 0;
+    let bitCount = 0;
+
+    const write = (code) => {
+        bitBuffer |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.push(bitBuffer & 0xFF);
+            bitBuffer >>>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    write(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = dictionary.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        write(prefix);
+        if (nextCode === GIF_MAX_CODE) {
+            write(clearCode);
+            dictionary.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            dictionary.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+
+    write(prefix);
+    write(endCode);
+    if (bitCount > 0) out.push(bitBuffer & 0xFF);
+    return Uint8Array.from(out);
+}
+
+// =====================================================
+// ANIMATED WEBP ENCODER
+// =====================================================
+
+/**
+ * Animated WebP writer: each frame is encoded as a still WebP by the
+ * browser, then its image chunks are wrapped in a full-canvas ANMF chunk
+ */
+function createWebpAnimationEncoder(width, height, repeat, quality) {
+    const frames = [];
+    let hasAlpha = false;
+
+    return {
+        async addFrame(canvas, duration) {
+            const bytes = new Uint8Array(await (await canvasToBlob(canvas, 'image/webp', quality)).arrayBuffer());
+            const view = new DataView(bytes.buffer);
+            const chunks = [];
+
+            for (let offset = 12; offset + 8 <= bytes.length;) {
+                const id = readFourCC(bytes, offset);
+                const size = view.getUint32(offset + 4, true);
+                const end = offset + 8 + size + (size & 1);
+                if (id === 'VP8X' && bytes[offset + 8] & 0x10) hasAlpha = true;
+                if (id === 'ALPH') hasAlpha = true;
+                if (id === 'VP8L' && (bytes[offset + 12] >> 4) & 1) hasAlpha = true;
+                if (id === 'ALPH' || id === 'VP8 ' || id === 'VP8L') chunks.push(bytes.subarray(offset, end));
+                offset = end;
+            }
+
+            frames.push({ chunks, duration });
+        },
+
+        finish() {
+            const vp8x = new Uint8Array(10);
+            vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0);               // Animation (+ alpha)
+            vp8x.set(uint24LE(width - 1), 4);
+            vp8x.set(uint24LE(height - 1), 7);
+
+            // Background color (transparent) and loop count; 0 loops forever
+            const loops = repeat === Infinity ? 0 : Math.min(0xFFFF, repeat + 1);
+            const anim = new Uint8Array([0, 0, 0, 0, loops & 0xFF, loops >> 8]);
+
+            const parts = [riffChunk('VP8X', vp8x), riffChunk('ANIM', anim)];
+            frames.forEach(({ chunks, duration }) => {
+                const header = new Uint8Array(16);
+                header.set(uint24LE(width - 1), 6);
+                header.set(uint24LE(height - 1), 9);
+                header.set(uint24LE(Math.min(0xFFFFFF, Math.round(duration))), 12);
+                header[15] = 0x02;                                 // Do not blend, no disposal
+                parts.push(riffChunk('ANMF', concatBytes([header, ...chunks])));
+            });
+
+            return webpFile(parts);
+        },
+    };
+}
+
+// =====================================================
+// BINARY HELPERS
+// =====================================================
+
+function readFourCC(bytes, offset) {
+    return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function asciiBytes(text) {
+    return Uint8Array.from(text, c => c.charCodeAt(0));
+}
+
+function uint24LE(value) {
+    return new Uint8Array([value & 0xFF, (value >> 8) & 0xFF, (value >> 16) & 0xFF]);
+}
+
+/**
+ * RIFF chunk: FourCC, little-endian size, data, pad byte to an even length
+ */
+function riffChunk(id, data) {
+    const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+    chunk.set(asciiBytes(id));
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+}
+
+function webpFile(chunks) {
+    const size = 4 + chunks.reduce((sum, c) => sum + c.length, 0);
+    const header = new Uint8Array(12);
+    header.set(asciiBytes('RIFF'));
+    new DataView(header.buffer).setUint32(4, size, true);
+    header.set(asciiBytes('WEBP'), 8);
+    return new Blob([header, ...chunks], { type: 'image/webp' });
+}
+
+function gifColorTableSize(flags) {
+    return flags & 0x80 ? 3 << ((flags & 0x07) + 1) : 0;
+}
+
+function gifLoopsToRepeat(bytes, pos) {
+    // pos points at the extension's block size; the loop sub-block follows "NETSCAPE2.0"
+    const loops = bytes[pos + 14] | (bytes[pos + 15] << 8);
+    return loops === 0 ? Infinity : loops;
+}
+
+function webpLoopsToRepeat(loops) {
+    return loops === 0 ? Infinity : loops - 1;
+}
+
+function skipGifSubBlocks(bytes, pos) {
+    while (pos < bytes.length && bytes[pos] !== 0) pos += bytes[pos] + 1;
+    return pos + 1;
+}
+
+function joinGifSubBlocks(bytes, start, end) {
+    const out = new Uint8Array(end - start);
+    let length = 0;
+    for (let pos = start; pos < end && bytes[pos] !== 0; pos += bytes[pos] + 1) {
+        out.set(bytes.subarray(pos + 1, pos + 1 + bytes[pos]), length);
+        length += bytes[pos];
+    }
+    return out.subarray(0, length);
+}
+
+function toGifSubBlocks(data) {
+    const out = new Uint8Array(data.length + Math.ceil(data.length / 255) + 1);
+    let pos = 0;
+    for (let i = 0; i < data.length; i += 255) {
+        const block = data.subarray(i, i + 255);
+        out[pos++] = block.length;
+        out.set(block, pos);
+        pos += block.length;
+    }
+    out[pos] = 0;                                              // Block terminator
+    return out;
+}
@@ -0,0 +1,591 @@
+/**
+ * =====================================================
+ * Smart Image Resizer – Render Pipeline
+ * =====================================================
+ * Decode → crop → fit → Pica resize → encode, shared by the page
+ * (script.js) and the resize workers (resize-worker.js). Everything here
+ * works on both HTMLCanvasElement and OffscreenCanvas and touches no DOM,
+ * so a job runs the same on either thread.
+ *
+ * A render job is a plain, structured-cloneable object:
+ *   {
+ *     transform:      { rotate, flipH, flipV, straighten } or null,
+ *     adjustments:    color / tone settings (see COLOR ADJUSTMENTS) or null,
+ *     watermark:      text or logo stamped on the output (see WATERMARK) or null,
+ *     region:         { x, y, w, h } of the upright, transformed source to use,
+ *     fitMode:        'cover' | 'contain' | 'stretch',
+ *     padColor:       letterbox color for 'contain',
+ *     padTransparent: keep letterbox transparent (alpha formats only),
+ *     allowDownscale: target-size mode may shrink dimensions,
+ *     resample:       { filter, unsharpAmount, unsharpRadius, unsharpThreshold }
+ *                     or null for DEFAULT_RESAMPLE,
+ *     animation:      { type } to render every frame (animation.js), or null,
+ *     sizes:          [{ width, height, format, quality, maxBytes }]
+ *   }
+ * =====================================================
+ */
+
+// ── Pica instance (high-quality image resizer) ──────
+// Workers run Pica's JS/WASM paths directly instead of spawning their own.
+const IN_WORKER = typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope;
+const picaInstance = self.pica ? pica({
+    features: IN_WORKER ? ['js', 'wasm'] : ['js', 'wasm', 'ww'],
+    createCanvas,
+}) : null;
+
+// ── Resampling ──────────────────────────────────────
+// filter is a Pica filter ('box', 'hamming', 'lanczos2', 'lanczos3') or
+// 'nearest', which Pica lacks and is drawn unsmoothed instead. The canvas
+// fallback can't sharpen; it maps the filter to a smoothing quality.
+const DEFAULT_RESAMPLE = { filter: 'lanczos3', unsharpAmount: 80, unsharpRadius: 0.6, unsharpThreshold: 2 };
+const FALLBACK_SMOOTHING = { box: 'low', hamming: 'medium', lanczos2: 'high', lanczos3: 'high' };
+
+// =====================================================
+// RENDER JOB
+// =====================================================
+
+/**
+ * Render every size of a job from an upright source blob.
+ * Returns [{ blob, width, height, quality, targetMet }] in job order.
+ */
+async function renderJob(sourceBlob, job, onProgress) {
+    if (job.animation) return renderAnimatedJob(sourceBlob, job, onProgress);
+
+    const source = await decodeSource(sourceBlob);
+    try {
+        const results = [];
+        for (let i = 0; i < job.sizes.length; i++) {
+            results.push(await renderSize(source, job, job.sizes[i]));
+            if (onProgress) onProgress(i + 1, job.sizes.length);
+        }
+        return results;
+    } finally {
+        if (source.close) source.close();
+    }
+}
+
+/**
+ * Decode a blob, preferring createImageBitmap (available in workers).
+ * The page falls back to an <img> element where it is missing.
+ */
+async function decodeSource(blob) {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(blob, { imageOrientation: 'from-image' });
+    }
+
+    const url = URL.createObjectURL(blob);
+    try {
+        return await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = url;
+        });
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * Resize and encode one output size, searching quality (and optionally
+ * dimensions) when the size has a byte budget
+ */
+async function renderSize(source, job, size) {
+    const { width, height, format, quality, maxBytes } = size;
+    const canvas = await renderResized(source, job, width, height, format);
+
+    try {
+        if (maxBytes) return await encodeToTargetSize(source, job, canvas, size);
+        const blob = await canvasToBlob(canvas, format, quality);
+        return { blob, width, height, quality, targetMet: null };
+    } finally {
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+}
+
+/**
+ * Draw the job's source region into a new targetW × targetH canvas,
+ * honouring the fit mode. The output format decides whether padding
+ * may stay transparent.
+ */
+async function renderResized(source, job, targetW, targetH, format) {
+    const { region, fitMode } = job;
+    const { sx, sy, sw, sh, dx, dy, dw, dh } = computeFitRects(
+        region.w, region.h, targetW, targetH, fitMode
+    );
+
+    // Create source canvas holding the region of the original to be used,
+    // rotated / flipped / straightened first when the job asks for it
+    const srcCanvas = createCanvas(sw, sh);
+    const srcCtx = srcCanvas.getContext('2d');
+    if (isIdentityTransform(job.transform)) {
+        srcCtx.drawImage(source, region.x + sx, region.y + sy, sw, sh, 0, 0, sw, sh);
+    } else {
+        srcCtx.imageSmoothingQuality = 'high';
+        srcCtx.translate(-(region.x + sx), -(region.y + sy));
+        applyTransform(srcCtx, source.naturalWidth || source.width, source.naturalHeight || source.height, job.transform);
+        srcCtx.drawImage(source, 0, 0);
+    }
+    if (!isIdentityAdjustments(job.adjustments)) applyAdjustments(srcCtx, sw, sh, job.adjustments);
+
+    // Canvas the image is scaled into (smaller than the target when padding)
+    const scaledCanvas = createCanvas(dw, dh);
+
+    const resample = job.resample || DEFAULT_RESAMPLE;
+    if (resample.filter !== 'nearest' && picaInstance) {
+        // Use Pica for high-quality resize if available
+        await picaInstance.resize(srcCanvas, scaledCanvas, {
+            filter: resample.filter,
+            alpha: true,
+            unsharpAmount: resample.unsharpAmount,
+            unsharpRadius: resample.unsharpRadius,
+            unsharpThreshold: resample.unsharpThreshold,
+        });
+    } else {
+        // Nearest neighbour, or the fallback when Pica is missing
+        const ctx = scaledCanvas.getContext('2d');
+        ctx.imageSmoothingEnabled = resample.filter !== 'nearest';
+        ctx.imageSmoothingQuality = FALLBACK_SMOOTHING[resample.filter] || 'high';
+        ctx.drawImage(srcCanvas, 0, 0, dw, dh);
+    }
+
+    srcCanvas.width = 0;
+    srcCanvas.height = 0;
+
+    let destCanvas = scaledCanvas;
+    if (dw !== targetW || dh !== targetH) {
+        // Place the scaled image into the target, letterboxing for 'contain'
+        destCanvas = createCanvas(targetW, targetH);
+        const destCtx = destCanvas.getContext('2d');
+        const transparent = job.padTransparent && formatSupportsAlpha(format);
+        if (!transparent) {
+            destCtx.fillStyle = job.padColor;
+            destCtx.fillRect(0, 0, targetW, targetH);
+        }
+        destCtx.drawImage(scaledCanvas, dx, dy);
+        scaledCanvas.width = 0;
+        scaledCanvas.height = 0;
+    }
+
+    if (job.watermark) await drawWatermark(destCanvas, job.watermark);
+    return destCanvas;
+}
+
+/**
+ * Work out which part of the source to read and where to place it in the
+ * target, for the given fit mode
+ */
+function computeFitRects(srcW, srcH, targetW, targetH, fitMode) {
+    const rects = {
+        sx: 0, sy: 0, sw: srcW, sh: srcH,
+        dx: 0, dy: 0, dw: targetW, dh: targetH,
+    };
+
+    if (fitMode === 'cover') {
+        // Scale to fill, then center-crop the overflow from the source
+        const scale = Math.max(targetW / srcW, targetH / srcH);
+        rects.sw = Math.min(srcW, Math.round(targetW / scale));
+        rects.sh = Math.min(srcH, Math.round(targetH / scale));
+        rects.sx = Math.floor((srcW - rects.sw) / 2);
+        rects.sy = Math.floor((srcH - rects.sh) / 2);
+    } else if (fitMode === 'contain') {
+        // Scale to fit, then center in the target with padding around it
+        const scale = Math.min(targetW / srcW, targetH / srcH);
+        rects.dw = Math.max(1, Math.min(targetW, Math.round(srcW * scale)));
+        rects.dh = Math.max(1, Math.min(targetH, Math.round(srcH * scale)));
+        rects.dx = Math.floor((targetW - rects.dw) / 2);
+        rects.dy = Math.floor((targetH - rects.dh) / 2);
+    }
+
+    return rects;
+}
+
+function formatSupportsAlpha(format) {
+    return format === 'image/png' || format === 'image/webp' || format === 'image/avif' || format === 'image/gif';
+}
+
+function isLossyFormat(format) {
+    return format === 'image/jpeg' || format === 'image/webp' || format === 'image/avif';
+}
+
+// =====================================================
+// ROTATE / FLIP / STRAIGHTEN
+// =====================================================
+// A transform is { rotate: 0 | 90 | 180 | 270, flipH, flipV, straighten }.
+// The image is turned by `rotate`, mirrored, then tilted by `straighten`
+// degrees (±45) and cropped to the largest rectangle of the same aspect
+// ratio that has no empty corners.
+
+function isIdentityTransform(transform) {
+    return !transform || (!transform.rotate && !transform.flipH && !transform.flipV && !transform.straighten);
+}
+
+/**
+ * Size of a width × height image after the transform
+ */
+function getTransformedSize(width, height, transform) {
+    if (isIdentityTransform(transform)) return { width, height };
+
+    const quarter = transform.rotate === 90 || transform.rotate === 270;
+    const w = quarter ? height : width;
+    const h = quarter ? width : height;
+    const angle = Math.abs(transform.straighten || 0) * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const scale = Math.min(w / (w * cos + h * sin), h / (w * sin + h * cos));
+
+    return {
+        width: Math.max(1, Math.floor(w * scale)),
+        height: Math.max(1, Math.floor(h * scale)),
+    };
+}
+
+/**
+ * Set up ctx so that drawing a width × height image at (0, 0) lands it
+ * transformed, filling the canvas area given by getTransformedSize()
+ */
+function applyTransform(ctx, width, height, transform) {
+    const out = getTransformedSize(width, height, transform);
+    ctx.translate(out.width / 2, out.height / 2);
+    ctx.rotate((transform.straighten || 0) * Math.PI / 180);
+    ctx.scale(transform.flipH ? -1 : 1, transform.flipV ? -1 : 1);
+    ctx.rotate((transform.rotate || 0) * Math.PI / 180);
+    ctx.translate(-width / 2, -height / 2);
+}
+
+// =====================================================
+// COLOR ADJUSTMENTS
+// =====================================================
+// Adjustments are { exposure (EV, ±2), brightness, contrast, saturation,
+// temperature, tint (each ±100), tone: 'none' | 'grayscale' | 'sepia',
+// levels: { black: [r, g, b], white: [r, g, b] } or null }. Levels are
+// measured once per file (see measureLevels) so every size, crop and
+// animation frame gets the same correction.
+const LEVELS_CLIP = 0.005;           // Fraction of pixels clipped at each end
+const LEVELS_MIN_RANGE = 16;
+
+function isIdentityAdjustments(adj) {
+    return !adj || (!adj.exposure && !adj.brightness && !adj.contrast && !adj.saturation &&
+        !adj.temperature && !adj.tint && (!adj.tone || adj.tone === 'none') && !adj.levels);
+}
+
+/**
+ * Apply adjustments to the pixels of a width × height canvas context.
+ * Per-channel steps run through lookup tables; saturation and tone need
+ * all three channels and are done per pixel.
+ */
+function applyAdjustments(ctx, width, height, adj) {
+    const image = ctx.getImageData(0, 0, width, height);
+    const data = image.data;
+    const luts = [0, 1, 2].map(channel => buildChannelLut(adj, channel));
+    const saturation = 1 + (adj.saturation || 0) / 100;
+
+    for (let i = 0; i < data.length; i += 4) {
+        let r = luts[0][data[i]];
+        let g = luts[1][data[i + 1]];
+        let b = luts[2][data[i + 2]];
+
+        if (saturation !== 1 || adj.tone === 'grayscale') {
+            const luma = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            const s = adj.tone === 'grayscale' ? 0 : saturation;
+            r = luma + (r - luma) * s;
+            g = luma + (g - luma) * s;
+            b = luma + (b - luma) * s;
+        }
+        if (adj.tone === 'sepia') {
+            [r, g, b] = [
+                0.393 * r + 0.769 * g + 0.189 * b,
+                0.349 * r + 0.686 * g + 0.168 * b,
+                0.272 * r + 0.534 * g + 0.131 * b,
+            ];
+        }
+
+        data[i] = r;                 // Uint8ClampedArray rounds and clamps
+        data[i + 1] = g;
+        data[i + 2] = b;
+    }
+
+    ctx.putImageData(image, 0, 0);
+}
+
+/**
+ * 256-entry table for one channel: levels → exposure → white balance →
+ * brightness → contrast
+ */
+function buildChannelLut(adj, channel) {
+    const lut = new Float32Array(256);
+    const black = adj.levels ? adj.levels.black[channel] : 0;
+    const white = adj.levels ? adj.levels.white[channel] : 255;
+    const exposure = Math.pow(2, adj.exposure || 0);
+    // Warm raises red and lowers blue; tint trades green against magenta
+    const temperature = (adj.temperature || 0) / 100;
+    const tint = (adj.tint || 0) / 100;
+    const balance = [1 + temperature * 0.2, 1 - tint * 0.2, 1 - temperature * 0.2][channel];
+    const brightness = (adj.brightness || 0) * 1.28;
+    const c = (adj.contrast || 0) * 2.55;
+    const contrast = (259 * (c + 255)) / (255 * (259 - c));
+
+    for (let v = 0; v < 256; v++) {
+        let x = (v - black) * 255 / Math.max(1, white - black);
+        x = x * exposure * balance + brightness;
+        lut[v] = contrast * (x - 128) + 128;
+    }
+    return lut;
+}
+
+/**
+ * Black and white points per channel for auto-levels, ignoring the
+ * darkest and brightest LEVELS_CLIP of pixels. Returns null for images
+ * that already span the full range.
+ */
+function measureLevels(imageData) {
+    const { data } = imageData;
+    const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] === 0) continue;
+        histograms[0][data[i]]++;
+        histograms[1][data[i + 1]]++;
+        histograms[2][data[i + 2]]++;
+        count++;
+    }
+    if (!count) return null;
+
+    const clip = count * LEVELS_CLIP;
+    const black = [];
+    const white = [];
+    histograms.forEach(hist => {
+        let lo = 0;
+        for (let seen = hist[0]; lo < 255 && seen <= clip; seen += hist[++lo]);
+        let hi = 255;
+        for (let seen = hist[255]; hi > 0 && seen <= clip; seen += hist[--hi]);
+        // A (nearly) flat channel has no range worth stretching
+        const flat = hi - lo < LEVELS_MIN_RANGE;
+        black.push(flat ? 0 : lo);
+        white.push(flat ? 255 : hi);
+    });
+
+    if (black.every(v => v === 0) && white.every(v => v === 255)) return null;
+    return { black, white };
+}
+
+// =====================================================
+// WATERMARK
+// =====================================================
+// A watermark is { type: 'text' | 'image', text, font, color, image (Blob),
+// imageId, opacity (0–100), rotation (degrees), size and margin (% of the
+// output's shorter side), position: 'tl' | 'tc' | … | 'br' | 'tile' }.
+// Sizing off the output keeps the mark consistent across presets. Jobs
+// reach workers as copies, so the decoded logo is cached by imageId.
+const WATERMARK_TILE_GAP = 1.5;      // Space between tiles, in mark heights
+
+let watermarkImage = null;           // { id, image: Promise<ImageBitmap> } of the last logo drawn
+
+/**
+ * Stamp the watermark onto a finished output canvas
+ */
+async function drawWatermark(canvas, watermark) {
+    const { width, height } = canvas;
+    const unit = Math.min(width, height);
+    const ctx = canvas.getContext('2d');
+    const markH = Math.max(1, watermark.size / 100 * unit);
+    let markW;
+    let drawMark;
+
+    if (watermark.type === 'image') {
+        if (!watermark.image) return;
+        const image = await loadWatermarkImage(watermark);
+        markW = image.width * markH / image.height;
+        drawMark = (x, y) => ctx.drawImage(image, x - markW / 2, y - markH / 2, markW, markH);
+    } else {
+        if (!watermark.text) return;
+        ctx.font = `${Math.round(markH)}px ${watermark.font}`;
+        ctx.fillStyle = watermark.color;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        markW = ctx.measureText(watermark.text).width;
+        drawMark = (x, y) => ctx.fillText(watermark.text, x, y);
+    }
+
+    const angle = (watermark.rotation || 0) * Math.PI / 180;
+    ctx.save();
+    ctx.globalAlpha = watermark.opacity / 100;
+
+    if (watermark.position === 'tile') {
+        // Rows across the whole (rotated) canvas, alternate rows offset by half
+        const stepX = markW + markH * WATERMARK_TILE_GAP;
+        const stepY = markH * (1 + WATERMARK_TILE_GAP);
+        const reach = Math.hypot(width, height) / 2;
+        ctx.translate(width / 2, height / 2);
+        ctx.rotate(angle);
+        for (let row = 0, y = -reach; y <= reach + stepY; row++, y += stepY) {
+            const offset = row % 2 ? stepX / 2 : 0;
+            for (let x = -reach - offset; x <= reach + stepX; x += stepX) drawMark(x, y);
+        }
+    } else {
+        // Anchor the rotated mark's bounding box inside the margin
+        const boxW = Math.abs(markW * Math.cos(angle)) + Math.abs(markH * Math.sin(angle));
+        const boxH = Math.abs(markW * Math.sin(angle)) + Math.abs(markH * Math.cos(angle));
+        const margin = (watermark.margin || 0) / 100 * unit;
+        const [v, h] = watermark.position;
+        const x = h === 'l' ? margin + boxW / 2 : h === 'r' ? width - margin - boxW / 2 : width / 2;
+        const y = v === 't' ? margin + boxH / 2 : v === 'b' ? height - margin - boxH / 2 : height / 2;
+        ctx.translate(x, y);
+        ctx.rotate(angle);
+        drawMark(0, 0);
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Decode the logo once per page or worker, closing the previous one when
+ * a different logo is chosen
+ */
+function loadWatermarkImage(watermark) {
+    if (watermarkImage?.id !== watermark.imageId) {
+        watermarkImage?.image.then(image => image.close(), () => {});
+        const entry = { id: watermark.imageId, image: createImageBitmap(watermark.image) };
+        entry.image.catch(() => {
+            if (watermarkImage === entry) watermarkImage = null;
+        });
+        watermarkImage = entry;
+    }
+    return watermarkImage.image;
+}
+
+// =====================================================
+// TARGET FILE SIZE
+// =====================================================
+const TARGET_MIN_QUALITY = 0.05;
+const TARGET_QUALITY_STEPS = 7;      // Binary search iterations (~1% precision)
+const TARGET_MAX_DOWNSCALES = 8;
+const TARGET_MIN_DIMENSION = 16;
+
+/**
+ * Encode a canvas so the blob fits within size.maxBytes: search quality
+ * first, then (optionally) step the dimensions down and search again.
+ * Returns { blob, width, height, quality, targetMet }
+ */
+async function encodeToTargetSize(source, job, canvas, size) {
+    const { format, quality, maxBytes } = size;
+    let current = canvas;
+    let width = canvas.width;
+    let height = canvas.height;
+    let best = await searchQuality(current, format, quality, maxBytes);
+
+    for (let step = 0; best.blob.size > maxBytes && job.allowDownscale && step < TARGET_MAX_DOWNSCALES; step++) {
+        // Size scales roughly with pixel count; aim a little under the budget
+        const factor = Math.min(0.9, Math.sqrt(maxBytes / best.blob.size) * 0.95);
+        const nextW = Math.round(width * factor);
+        const nextH = Math.round(height * factor);
+        if (nextW < TARGET_MIN_DIMENSION || nextH < TARGET_MIN_DIMENSION) break;
+
+        if (current !== canvas) {
+            current.width = 0;
+            current.height = 0;
+        }
+        width = nextW;
+        height = nextH;
+        current = await renderResized(source, job, width, height, format);
+        best = await searchQuality(current, format, quality, maxBytes);
+    }
+
+    if (current !== canvas) {
+        current.width = 0;
+        current.height = 0;
+    }
+
+    return { ...best, width, height, targetMet: best.blob.size <= maxBytes };
+}
+
+/**
+ * Binary-search the highest quality whose output fits maxBytes, capped at
+ * the quality setting. Returns the smallest attempt when nothing fits.
+ */
+async function searchQuality(canvas, format, ceiling, maxBytes) {
+    const first = await canvasToBlob(canvas, format, ceiling);
+    if (first.size <= maxBytes || !isLossyFormat(format)) {
+        return { blob: first, quality: ceiling };
+    }
+
+    let lo = TARGET_MIN_QUALITY;
+    let hi = ceiling;
+    let fit = null;
+    let smallest = { blob: first, quality: ceiling };
+
+    for (let i = 0; i < TARGET_QUALITY_STEPS; i++) {
+        const mid = (lo + hi) / 2;
+        const blob = await canvasToBlob(canvas, format, mid);
+        if (blob.size <= maxBytes) {
+            fit = { blob, quality: mid };
+            lo = mid;
+        } else {
+            if (blob.size < smallest.blob.size) smallest = { blob, quality: mid };
+            hi = mid;
+        }
+    }
+
+    if (fit) return fit;
+
+    const floor = await canvasToBlob(canvas, format, TARGET_MIN_QUALITY);
+    return floor.size < smallest.blob.size ? { blob: floor, quality: TARGET_MIN_QUALITY } : smallest;
+}
+
+// =====================================================
+// CANVAS HELPERS
+// =====================================================
+
+/**
+ * New canvas of the given size: an OffscreenCanvas where supported (always
+ * in workers), otherwise a detached <canvas> element
+ */
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Convert canvas to Blob (async wrapper). Rejects when the browser
+ * encodes a different type than requested rather than returning a
+ * mislabeled file.
+ */
+async function canvasToBlob(canvas, format, quality) {
+    let blob;
+
+    if (canvas.convertToBlob) {
+        blob = await canvas.convertToBlob({ type: format, quality });
+    } else {
+        blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(
+                (result) => result ? resolve(result) : reject(new Error('Canvas toBlob failed')),
+                format,
+                quality
+            );
+        });
+    }
+
+    if (blob.type !== format) {
+        const name = format.replace('image/', '').replace('jpeg', 'jpg').toUpperCase();
+        throw new Error(`This browser can't encode ${name} (got ${blob.type || 'unknown type'})`);
+    }
+
+    return blob;
+}
+
+/**
+ * Join byte arrays into one Uint8Array
+ */
+function concatBytes(parts) {
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
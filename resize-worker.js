@@ -0,0 +1,27 @@
+/**
+ * Resize Worker – Smart Image Resizer
+ * Runs render jobs (see resize-core.js) off the main thread.
+ *
+ * In:  { id, source: Blob, job }
+ * Out: { id, type: 'progress', done, total }
+ *      { id, type: 'done', results }
+ *      { id, type: 'error', message }
+ */
+
+importScripts(
+    'https://cdn.jsdelivr.net/npm/pica@9.0.1/dist/pica.min.js',
+    'resize-core.js',
+    'animation.js'
+);
+
+self.addEventListener('message', async (event) => {
+    const { id, source, job } = event.data;
+    try {
+        const results = await renderJob(source, job, (done, total) => {
+            self.postMessage({ id, type: 'progress', done, total });
+        });
+        self.postMessage({ id, type: 'done', results });
+    } catch (err) {
+        self.postMessage({ id, type: 'error', message: err.message || String(err) });
+    }
+});
@@ -3,26 +3,41 @@
  * Smart Image Resizer – Main Application Logic
  * =====================================================
  * Features:
- *   - Drag-and-drop & file input upload
- *   - Batch image support (multiple files)
+ *   - Drag-and-drop & file input upload, including whole folders
+ *   - Paste images from the clipboard; copy results back to it
+ *   - Batch image support (multiple files), cancellable with per-file status
+ *   - Workspace saved in IndexedDB and restored after a reload
+ *   - Undo / redo (Ctrl+Z / Ctrl+Shift+Z) with a memory budget
+ *   - Per-file resize settings with "apply to all"
  *   - Live preview with zoom controls
+ *   - Interactive per-file crop tool
+ *   - Rotate, flip and straighten (auto-cropped) per file
+ *   - Per-file color & tone adjustments with live preview
+ *   - Text / logo watermark (anchored or tiled), sized to the output
  *   - Aspect-ratio lock
- *   - Social media preset sizes
- *   - High-quality resize via Pica.js
+ *   - Fit modes (cover-crop, contain-pad, stretch)
+ *   - Searchable platform preset library with safe-zone overlays,
+ *     plus saved custom presets
+ *     (edit, reorder, delete, JSON import / export)
+ *   - Multi-size export (several renditions per file in one run)
+ *   - Responsive image sets with a <picture>/srcset snippet
+ *   - Favicon / app-icon pack (ICO, apple-touch, PWA manifest icons)
+ *   - High-quality resize via Pica.js in a Web Worker pool
+ *   - Advanced resampling: filter choice, unsharp mask, named profiles
  *   - EXIF orientation fix
+ *   - Metadata panel (strip / keep / keep all except GPS)
  *   - Quality / compression slider
- *   - Output format selector (JPG, PNG, WebP)
+ *   - Target file-size mode (quality search + optional downscale)
+ *   - Output format selector (JPG, PNG, WebP, AVIF) with encoder detection
+ *   - Animated GIF / WebP resizing that keeps every frame
  *   - Before / After comparison slider
- *   - Download single or all resized images
+ *   - Download single image or all as one ZIP archive
  *   - Dark / Light mode toggle with persistence
  *   - Toast notification system
  *   - Responsive & accessible
  * =====================================================
  */
 
-// ── Pica instance (high-quality image resizer) ──────
-const picaInstance = window.pica ? pica() : null;
-
 // ── DOM element references ──────────────────────────
 const $ = (sel) => document.querySelector(sel);
 const $$ = (sel) => document.querySelectorAll(sel);
@@ -31,10 +46,19 @@ const dom = {
     // Upload
     dropZone:           $('#dropZone'),
     fileInput:          $('#fileInput'),
+    folderInput:        $('#folderInput'),
+    chooseFolderBtn:    $('#chooseFolderBtn'),
     uploadSection:      $('#uploadSection'),
     batchSection:       $('#batchSection'),
     fileList:           $('#fileList'),
     fileCount:          $('#fileCount'),
+    sessionNotice:      $('#sessionNotice'),
+    sessionNoticeText:  $('#sessionNoticeText'),
+    keepSessionBtn:     $('#keepSessionBtn'),
+    discardSessionBtn:  $('#discardSessionBtn'),
+    storageUsage:       $('#storageUsage'),
+    storageUsageText:   $('#storageUsageText'),
+    clearStorageBtn:    $('#clearStorageBtn'),
     addMoreBtn:         $('#addMoreBtn'),
     clearAllBtn:        $('#clearAllBtn'),
 
@@ -46,10 +70,47 @@ const dom = {
     lockIcon:           $('#lockIcon'),
     originalDimensions: $('#originalDimensions'),
     scalePercent:       $('#scalePercent'),
+    transformBtns:      $$('.transform-btn'),
+    straightenSlider:   $('#straightenSlider'),
+    straightenValue:    $('#straightenValue'),
+    transformReset:     $('#transformReset'),
+    adjustSliders:      $$('[data-adjust]'),
+    toneBtns:           $$('[data-tone]'),
+    autoLevels:         $('#autoLevels'),
+    adjustReset:        $('#adjustReset'),
+    adjustApplyAll:     $('#adjustApplyAll'),
+    fitBtns:            $$('.fit-btn'),
+    padOptions:         $('#padOptions'),
+    padColor:           $('#padColor'),
+    padTransparent:     $('#padTransparent'),
+    padTransparentLabel:$('#padTransparentLabel'),
+    resamplePanel:      $('#resamplePanel'),
+    profileBtns:        $$('[data-profile]'),
+    filterBtns:         $$('[data-filter]'),
+    unsharpControls:    $('#unsharpControls'),
+    unsharpAmount:      $('#unsharpAmount'),
+    unsharpRadius:      $('#unsharpRadius'),
+    unsharpThreshold:   $('#unsharpThreshold'),
+    resamplePreview:    $('#resamplePreview'),
+    watermarkEnabled:   $('#watermarkEnabled'),
+    watermarkOptions:   $('#watermarkOptions'),
+    watermarkTypeBtns:  $$('[data-watermark-type]'),
+    watermarkFontBtns:  $$('[data-watermark-font]'),
+    watermarkPosBtns:   $$('[data-watermark-position]'),
+    watermarkSliders:   $$('[data-watermark]'),
+    watermarkText:      $('#watermarkText'),
+    watermarkColor:     $('#watermarkColor'),
+    watermarkTextOptions: $('#watermarkTextOptions'),
+    watermarkImageOptions: $('#watermarkImageOptions'),
+    watermarkFile:      $('#watermarkFile'),
+    watermarkFileBtn:   $('#watermarkFileBtn'),
+    watermarkFileName:  $('#watermarkFileName'),
 
     // Quality & Format
     qualitySlider:      $('#qualitySlider'),
     qualityValue:       $('#qualityValue'),
+    targetSizeInput:    $('#targetSizeInput'),
+    targetDownscale:    $('#targetDownscale'),
     formatBtns:         $$('.format-btn'),
 
     // Preview
@@ -57,6 +118,14 @@ const dom = {
     previewPlaceholder: $('#previewPlaceholder'),
     previewImage:       $('#previewImage'),
     compareToggle:      $('#compareToggle'),
+    safeZoneToggle:     $('#safeZoneToggle'),
+    safeZoneOverlay:    $('#safeZoneOverlay'),
+    safeZone:           $('#safeZone'),
+    safeZoneLabel:      $('#safeZoneLabel'),
+    cropToggle:         $('#cropToggle'),
+    cropReset:          $('#cropReset'),
+    cropOverlay:        $('#cropOverlay'),
+    cropRect:           $('#cropRect'),
     comparisonContainer:$('#comparisonContainer'),
     compareOriginal:    $('#compareOriginal'),
     compareResizedImg:  $('#compareResizedImg'),
@@ -69,10 +138,59 @@ const dom = {
     // Actions
     resizeBtn:          $('#resizeBtn'),
     resizeAllBtn:       $('#resizeAllBtn'),
+    applyAllBtn:        $('#applyAllBtn'),
     downloadBtn:        $('#downloadBtn'),
+    copyBtn:            $('#copyBtn'),
     downloadAllBtn:     $('#downloadAllBtn'),
+    downloadSetBtn:     $('#downloadSetBtn'),
     resetBtn:           $('#resetBtn'),
     resultsSection:     $('#resultsSection'),
+    resultDetails:      $('#resultDetails'),
+    renditionList:      $('#renditionList'),
+
+    // Presets
+    presetSearch:       $('#presetSearch'),
+    presetCategory:     $('#presetCategory'),
+    presetGrid:         $('#presetGrid'),
+    presetNoMatch:      $('#presetNoMatch'),
+    customPresetList:   $('#customPresetList'),
+    customPresetEmpty:  $('#customPresetEmpty'),
+    savePresetBtn:      $('#savePresetBtn'),
+    presetForm:         $('#presetForm'),
+    presetName:         $('#presetName'),
+    presetWidth:        $('#presetWidth'),
+    presetHeight:       $('#presetHeight'),
+    presetUseCurrent:   $('#presetUseCurrent'),
+    presetUseCurrentLabel: $('#presetUseCurrentLabel'),
+    presetCancelBtn:    $('#presetCancelBtn'),
+    importPresetsBtn:   $('#importPresetsBtn'),
+    exportPresetsBtn:   $('#exportPresetsBtn'),
+    presetImportInput:  $('#presetImportInput'),
+
+    // Multi-size export
+    renditionSizeList:  $('#renditionSizeList'),
+    customSizeW:        $('#customSizeW'),
+    customSizeH:        $('#customSizeH'),
+    addCustomSizeBtn:   $('#addCustomSizeBtn'),
+
+    // Responsive set
+    breakpointsInput:   $('#breakpointsInput'),
+    responsiveFormats:  $('#responsiveFormats'),
+    sizesAttrInput:     $('#sizesAttrInput'),
+    generateSetBtn:     $('#generateSetBtn'),
+    snippetBox:         $('#snippetBox'),
+    snippetOutput:      $('#snippetOutput'),
+    copySnippetBtn:     $('#copySnippetBtn'),
+
+    // Metadata
+    metadataBtns:       $$('.metadata-btn'),
+    metadataList:       $('#metadataList'),
+    animationNote:      $('#animationNote'),
+
+    // Icon pack
+    iconPadding:        $('#iconPadding'),
+    iconBackground:     $('#iconBackground'),
+    generateIconsBtn:   $('#generateIconsBtn'),
 
     // Stats
     originalSize:       $('#originalSize'),
@@ -82,10 +200,22 @@ const dom = {
     // Theme
     themeToggle:        $('#themeToggle'),
 
+    // History
+    undoBtn:            $('#undoBtn'),
+    redoBtn:            $('#redoBtn'),
+
     // Processing
     processingOverlay:  $('#processingOverlay'),
     processingText:     $('#processingText'),
     processingBar:      $('#processingBar'),
+    cancelBatchBtn:     $('#cancelBatchBtn'),
+
+    // Batch report
+    batchReport:        $('#batchReport'),
+    batchSummary:       $('#batchSummary'),
+    batchErrors:        $('#batchErrors'),
+    retryFailedBtn:     $('#retryFailedBtn'),
+    resumeBatchBtn:     $('#resumeBatchBtn'),
 
     // Toast
     toastContainer:     $('#toastContainer'),
@@ -96,17 +226,47 @@ const dom = {
 
 // ── Application state ───────────────────────────────
 const state = {
-    files: [],                   // Array of { file, originalUrl, img, resizedBlob, resizedUrl }
+    files: [],                   // Array of { id, file, source, originalUrl, editedUrl, crop, settings, renditions, activeRendition }
     activeIndex: 0,              // Currently selected file
     aspectLocked: true,          // Aspect ratio lock
     aspectRatio: 1,              // Current aspect ratio (w/h)
+    fitMode: 'stretch',          // 'cover' | 'contain' | 'stretch'
+    padColor: '#ffffff',         // Letterbox color for 'contain'
+    padTransparent: false,       // Transparent letterbox (PNG/WebP only)
+    resample: { ...DEFAULT_RESAMPLE }, // Filter + unsharp mask, see resize-core.js
+    watermark: {                 // Stamped on every output, see drawWatermark()
+        enabled: false,
+        type: 'text',
+        text: '© Studio',
+        font: 'system-ui, sans-serif',
+        color: '#ffffff',
+        image: null,             // Logo file (Blob)
+        imageId: null,           // Changes with the logo; workers cache the decoded logo by it
+        size: 5,
+        opacity: 50,
+        rotation: 0,
+        margin: 3,
+        position: 'br',
+    },
+    activePreset: null,          // { id, name, w, h } of the selected preset
+    customPresets: [],           // Saved presets: [{ id, name, width, height, fitMode, format, quality }]
+    editingPresetId: null,       // Custom preset open in the form (null = saving a new one)
+    renditionSizes: [],          // Multi-size export: [{ label, width, height, checked, custom, presetId }]
+    responsiveFormats: ['image/webp', 'image/jpeg'], // Formats for responsive sets
+    encodableFormats: null,      // Set of MIME types canvas.toBlob can produce
     originalWidth: 0,
     originalHeight: 0,
-    outputFormat: 'image/jpeg',  // Default output format
+    outputFormat: 'image/jpeg',  // Format shown in the controls (mirrors the selected file)
     outputExt: 'jpg',
-    quality: 0.9,                // Compression quality (0-1)
+    quality: 0.9,                // Compression quality (0-1) shown in the controls
+    targetSize: null,            // Byte budget for target-size mode (null = off)
+    targetAllowDownscale: true,  // Step dimensions down if quality alone can't fit
+    metadataMode: 'strip',       // 'strip' | 'keep' | 'keep-no-gps'
+    batch: null,                 // Running or last batch: { job, controller, running }
     zoomLevel: 1,
     isComparing: false,
+    isCropping: false,
+    showSafeZone: true,          // Overlay the active preset's safe zone on the preview
     isDraggingSlider: false,
 };
 
@@ -115,13 +275,27 @@ document.addEventListener('DOMContentLoaded', () => {
     initTheme();
     initUpload();
     initControls();
-    initPresetButtons();
+    initFitButtons();
+    initResamplePanel();
+    initWatermarkPanel();
+    initPresets();
+    initRenditionSizes();
+    initResponsiveSet();
+    initIconPack();
+    initMetadataPanel();
+    initBatchControls();
     initFormatButtons();
     initQualitySlider();
     initZoomControls();
     initComparisonSlider();
+    initCropTool();
+    initSafeZone();
+    initTransformTools();
+    initAdjustments();
     initScrollAnimations();
     initServiceWorker();
+    initSession();
+    initHistory();
 
     // Initialize Lucide icons
     if (window.lucide) lucide.createIcons();
@@ -163,7 +337,7 @@ function setTheme(theme) {
 // FILE UPLOAD (Drag-and-drop + File input)
 // =====================================================
 function initUpload() {
-    const { dropZone, fileInput, addMoreBtn, clearAllBtn } = dom;
+    const { dropZone, fileInput, folderInput, chooseFolderBtn, addMoreBtn, clearAllBtn } = dom;
 
     // Click to browse
     dropZone.addEventListener('click', () => fileInput.click());
@@ -174,6 +348,15 @@ function initUpload() {
     // File input change
     fileInput.addEventListener('change', (e) => handleFiles(e.target.files));
 
+    // Folder picker: every file carries its path relative to the chosen folder
+    chooseFolderBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        folderInput.click();
+    });
+    folderInput.addEventListener('change', (e) => {
+        handleFiles([...e.target.files].map(file => ({ file, path: file.webkitRelativePath || file.name })));
+    });
+
     // Drag-and-drop events
     ['dragenter', 'dragover'].forEach(evt => {
         dropZone.addEventListener(evt, (e) => {
@@ -194,8 +377,19 @@ function initUpload() {
     });
 
     dropZone.addEventListener('drop', (e) => {
-        const files = e.dataTransfer.files;
-        if (files.length) handleFiles(files);
+        readDroppedFiles(e.dataTransfer).then(entries => {
+            if (entries.length) handleFiles(entries);
+        });
+    });
+
+    // Paste screenshots and copied images anywhere on the page
+    document.addEventListener('paste', (e) => {
+        // Leave mixed text + image pastes into form fields alone
+        if (e.target.closest?.('input, textarea') && e.clipboardData?.types.includes('text/plain')) return;
+        const files = [...(e.clipboardData?.files || [])].filter(file => file.type.startsWith('image/'));
+        if (!files.length) return;
+        e.preventDefault();
+        handleFiles(files.map((file, i) => namePastedFile(file, i)));
     });
 
     // Add more / clear all
@@ -204,536 +398,3760 @@ function initUpload() {
 }
 
 /**
- * Process uploaded files – validates, reads, and sets up state
+ * Clipboard images are all called "image.png"; give each a unique,
+ * timestamped name like "pasted-2024-05-01_14-03-22.png"
+ */
+function namePastedFile(file, index) {
+    const now = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_` +
+        `${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+    const ext = getFormatExtension(file.type);
+    const name = `pasted-${stamp}${index ? `-${index + 1}` : ''}.${ext}`;
+    return new File([file], name, { type: file.type, lastModified: now.getTime() });
+}
+
+/**
+ * Files from a drop as [{ file, path }], walking dropped folders
+ * recursively. Handles have to be requested while the drop event is
+ * dispatching; the DataTransfer is emptied as soon as it returns.
+ */
+function readDroppedFiles(dataTransfer) {
+    const items = [...(dataTransfer.items || [])].filter(item => item.kind === 'file');
+    if (!items.length) {
+        return Promise.resolve([...dataTransfer.files].map(file => ({ file, path: file.name })));
+    }
+
+    const pending = items.map(item => {
+        const file = item.getAsFile();
+        const fallback = file ? [{ file, path: file.name }] : [];
+        if (item.getAsFileSystemHandle) {
+            return item.getAsFileSystemHandle()
+                .then(handle => handle ? readFileSystemHandle(handle, '') : fallback)
+                .catch(() => fallback);
+        }
+        const entry = item.webkitGetAsEntry?.();
+        return entry ? readFileSystemEntry(entry, '').catch(() => fallback) : Promise.resolve(fallback);
+    });
+
+    return Promise.all(pending).then(lists => lists.flat());
+}
+
+/**
+ * File System Access API walk (Chromium)
+ */
+async function readFileSystemHandle(handle, parent) {
+    const path = parent + handle.name;
+    if (handle.kind === 'file') return [{ file: await handle.getFile(), path }];
+
+    const files = [];
+    for await (const child of handle.values()) {
+        files.push(...await readFileSystemHandle(child, path + '/'));
+    }
+    return files;
+}
+
+/**
+ * File and Directory Entries API walk (all browsers). readEntries()
+ * returns children in batches, so it is called until it comes back empty.
+ */
+async function readFileSystemEntry(entry, parent) {
+    const path = parent + entry.name;
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path }];
+    }
+
+    const reader = entry.createReader();
+    const files = [];
+    for (;;) {
+        const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        if (!batch.length) break;
+        for (const child of batch) files.push(...await readFileSystemEntry(child, path + '/'));
+    }
+    return files;
+}
+
+/**
+ * Process uploaded files – validates, reads, and sets up state. Accepts
+ * Files or { file, path } entries from a folder import, where path is
+ * relative to the imported folder (e.g. "catalog/shoes/red.jpg").
  */
 async function handleFiles(fileList) {
-    const validTypes = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp', 'image/tiff'];
     const maxSize = 50 * 1024 * 1024; // 50 MB
 
     const newFiles = [];
-    for (const file of fileList) {
-        if (!validTypes.includes(file.type)) {
-            showToast(`Unsupported format: ${file.name}`, 'error');
+    let skipped = 0;
+    for (const entry of fileList) {
+        const { file, path } = entry instanceof Blob ? { file: entry, path: entry.name } : entry;
+        // Folders routinely hold non-image files; count those instead of reporting each
+        const fromFolder = path.includes('/');
+
+        if (file.size > maxSize) {
+            showToast(`File too large: ${path} (max 50MB)`, 'error');
             continue;
         }
-        if (file.size > maxSize) {
-            showToast(`File too large: ${file.name} (max 50MB)`, 'error');
+
+        // Identify by content; file.type is often empty or wrong
+        const format = detectImageFormat(await file.slice(0, 512).arrayBuffer());
+        if (!format) {
+            if (fromFolder) skipped++;
+            else showToast(`${file.name} isn't a recognized image file`, 'error');
             continue;
         }
-        newFiles.push(file);
+        if (format.reason) {
+            showToast(`${path} (${format.label}): ${format.reason}`, 'error');
+            continue;
+        }
+        newFiles.push({ file, path, format });
     }
 
+    dom.fileInput.value = ''; // Reset inputs
+    dom.folderInput.value = '';
+    if (skipped) showToast(`Skipped ${skipped} non-image file${skipped > 1 ? 's' : ''}`, 'info');
     if (!newFiles.length) return;
 
     showProcessing('Loading images...');
+    recordHistory('Add images');
 
+    const firstNew = state.files.length;
     for (let i = 0; i < newFiles.length; i++) {
         updateProcessingBar((i / newFiles.length) * 100);
-        const file = newFiles[i];
+        const { file, path, format } = newFiles[i];
         try {
-            const result = await loadImage(file);
+            const result = await loadImage(file, format, path);
             state.files.push(result);
         } catch (err) {
-            showToast(`Failed to load: ${file.name}`, 'error');
+            showToast(`Failed to load ${path}: ${err.message}`, 'error');
             console.error(err);
         }
     }
 
     hideProcessing();
-    dom.fileInput.value = ''; // Reset input
 
-    if (state.files.length) {
-        selectFile(state.files.length - newFiles.length); // Select first of new batch
+    const loaded = state.files.length - firstNew;
+    if (loaded) {
+        selectFile(firstNew); // Select first of new batch
         renderFileList();
         showEditor();
-        showToast(`${newFiles.length} image${newFiles.length > 1 ? 's' : ''} loaded`, 'success');
+        showToast(`${loaded} image${loaded > 1 ? 's' : ''} loaded`, 'success');
     }
 }
 
 /**
- * Load an image file, fix EXIF orientation, return state object
+ * Load an image file (format as found by detectImageFormat), fix EXIF
+ * orientation, return state object
  */
-function loadImage(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const img = new Image();
-            img.onload = () => {
-                // Fix EXIF orientation by drawing to canvas first
-                const { canvas, width, height } = fixOrientation(img);
-                const fixedUrl = canvas.toDataURL('image/png');
-
-                resolve({
-                    file,
-                    originalUrl: fixedUrl,
-                    img: img,
-                    naturalWidth: width,
-                    naturalHeight: height,
-                    originalSize: file.size,
-                    resizedBlob: null,
-                    resizedUrl: null,
-                });
-            };
-            img.onerror = reject;
-            img.src = e.target.result;
+async function loadImage(file, format, path = file.name) {
+    const buffer = await file.arrayBuffer();
+    const { orientation, source } = readOrientation(buffer);
+
+    // HEIF rotation/mirror boxes are applied by the decoder itself; EXIF
+    // orientation is only applied when the browser doesn't already do it
+    const alreadyOriented = source === 'heif' || await browserAutoOrients();
+    const effectiveOrientation = alreadyOriented ? 1 : orientation;
+
+    const metadata = readMetadata(buffer);
+    const animation = readAnimationInfo(buffer);
+
+    const { image: bitmap, native } = await decodeImageFile(file, format);
+    try {
+        // Keep the file itself as the source unless its pixels need turning
+        // or only a WASM decoder can read it; then bake an upright PNG copy.
+        // Animations always keep the file so every frame can be decoded.
+        let source = file;
+        let width = bitmap.naturalWidth || bitmap.width;
+        let height = bitmap.naturalHeight || bitmap.height;
+        if (!animation && (effectiveOrientation !== 1 || !native)) {
+            const fixed = fixOrientation(bitmap, effectiveOrientation);
+            source = await canvasToBlob(fixed.canvas, 'image/png');
+            ({ width, height } = fixed);
+            fixed.canvas.width = 0;
+            fixed.canvas.height = 0;
+        }
+
+        return {
+            id: createId('file'),        // Stable key in the saved session
+            file,
+            relativePath: path,          // Path within an imported folder, else the file name
+            source,                      // Upright image blob the renderer decodes
+            originalUrl: URL.createObjectURL(source),
+            editedUrl: null,             // Preview of the transformed / adjusted source, if edited
+            orientation,
+            metadata,                    // { exif, xmp, iptc, icc } payloads from the source
+            animation,                   // { type, frameCount, repeat } for animated GIF/WebP
+            crop: null,                  // { x, y, w, h } in source pixels
+            settings: {                  // Per-file output settings
+                width,
+                height,
+                format: state.outputFormat,
+                ext: state.outputExt,
+                quality: state.quality,
+                preset: null,
+            },
+            transform: { ...IDENTITY_TRANSFORM },
+            adjustments: { ...NEUTRAL_ADJUSTMENTS },
+            naturalWidth: width,         // Size after the transform
+            naturalHeight: height,
+            sourceWidth: width,          // Size of the upright source
+            sourceHeight: height,
+            originalSize: file.size,
+            renditions: [],              // Resized outputs, see renderRendition()
+            activeRendition: 0,          // Rendition shown in preview / stats
+            snippet: null,               // <picture> markup for a responsive set
+            status: null,                // Batch status, see BATCH JOBS
+            error: null,                 // Error message when status is 'failed'
         };
-        reader.onerror = reject;
-        reader.readAsDataURL(file);
-    });
+    } finally {
+        if (bitmap.close) bitmap.close();
+    }
 }
 
 /**
- * Fix EXIF orientation by re-drawing on canvas
- * (Modern browsers handle this via CSS, but canvas needs it)
+ * Draw the decoded image onto a canvas with the given EXIF orientation
+ * (1–8) applied, so the canvas holds upright pixels
  */
-function fixOrientation(img) {
+function fixOrientation(img, orientation = 1) {
+    const srcW = img.naturalWidth || img.width;
+    const srcH = img.naturalHeight || img.height;
+    const swapped = orientation >= 5 && orientation <= 8;
+    const width = swapped ? srcH : srcW;
+    const height = swapped ? srcW : srcH;
+
     const canvas = document.createElement('canvas');
     const ctx = canvas.getContext('2d');
-    canvas.width = img.naturalWidth;
-    canvas.height = img.naturalHeight;
+    canvas.width = width;
+    canvas.height = height;
+
+    switch (orientation) {
+        case 2: ctx.transform(-1, 0, 0, 1, srcW, 0); break;      // Flip horizontal
+        case 3: ctx.transform(-1, 0, 0, -1, srcW, srcH); break;  // Rotate 180°
+        case 4: ctx.transform(1, 0, 0, -1, 0, srcH); break;      // Flip vertical
+        case 5: ctx.transform(0, 1, 1, 0, 0, 0); break;          // Transpose
+        case 6: ctx.transform(0, 1, -1, 0, srcH, 0); break;      // Rotate 90° CW
+        case 7: ctx.transform(0, -1, -1, 0, srcH, srcW); break;  // Transverse
+        case 8: ctx.transform(0, -1, 1, 0, 0, srcW); break;      // Rotate 90° CCW
+    }
+
     ctx.drawImage(img, 0, 0);
-    return { canvas, width: img.naturalWidth, height: img.naturalHeight };
+    return { canvas, width, height };
 }
 
 // =====================================================
-// FILE LIST & BATCH MANAGEMENT
+// EXIF ORIENTATION (JPEG / WebP / HEIF)
 // =====================================================
-function renderFileList() {
-    const { fileList, batchSection, fileCount, resizeAllBtn, downloadAllBtn } = dom;
 
-    if (state.files.length === 0) {
-        batchSection.classList.add('hidden');
-        return;
+/**
+ * Read the orientation of an image from its raw bytes.
+ * Returns { orientation: 1–8, source: 'exif' | 'heif' | null }
+ */
+function readOrientation(buffer) {
+    const view = new DataView(buffer);
+    try {
+        if (view.byteLength >= 2 && view.getUint16(0) === 0xFFD8) {
+            return { orientation: readJpegOrientation(view), source: 'exif' };
+        }
+        if (view.byteLength >= 12 && readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+            return { orientation: readWebpOrientation(view), source: 'exif' };
+        }
+        if (view.byteLength >= 12 && readAscii(view, 4, 4) === 'ftyp') {
+            return { orientation: readHeifOrientation(view), source: 'heif' };
+        }
+    } catch (err) {
+        // Truncated or malformed metadata – treat the image as upright
+        console.warn('Could not read orientation:', err);
     }
+    return { orientation: 1, source: null };
+}
 
-    batchSection.classList.remove('hidden');
-    fileCount.textContent = `(${state.files.length})`;
-    fileList.innerHTML = '';
+/**
+ * Walk JPEG markers up to the start of scan looking for an APP1 Exif segment
+ */
+function readJpegOrientation(view) {
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        const length = view.getUint16(offset + 2);
+        if (marker === 0xFFE1 && readAscii(view, offset + 4, 6) === 'Exif\0\0') {
+            return readTiffOrientation(view, offset + 10);
+        }
+        offset += 2 + length;
+    }
+    return 1;
+}
 
-    state.files.forEach((item, index) => {
-        const div = document.createElement('div');
-        div.className = `file-item${index === state.activeIndex ? ' active' : ''}${item.resizedBlob ? ' processed' : ''}`;
-        div.style.animationDelay = `${index * 50}ms`;
-        div.innerHTML = `
-            <img src="${item.originalUrl}" alt="${item.file.name}" loading="lazy">
-            <div class="file-name">${item.file.name}</div>
-            <button class="file-remove" title="Remove" aria-label="Remove ${item.file.name}">&times;</button>
-            ${item.resizedBlob ? '<div class="file-status bg-green-500 text-white">✓</div>' : ''}
-        `;
+/**
+ * Walk RIFF chunks looking for the EXIF chunk
+ */
+function readWebpOrientation(view) {
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const id = readAscii(view, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        if (id === 'EXIF') {
+            // Some encoders keep the JPEG-style "Exif\0\0" prefix
+            const start = readAscii(view, offset + 8, 6) === 'Exif\0\0' ? offset + 14 : offset + 8;
+            return readTiffOrientation(view, start);
+        }
+        offset += 8 + size + (size & 1);
+    }
+    return 1;
+}
 
-        // Select on click
-        div.addEventListener('click', (e) => {
-            if (e.target.closest('.file-remove')) return;
-            selectFile(index);
-            renderFileList();
-        });
+/**
+ * Read the Orientation tag (0x0112) from IFD0 of a TIFF header
+ */
+function readTiffOrientation(view, tiffStart) {
+    const little = view.getUint16(tiffStart) === 0x4949;
+    const ifd0 = tiffStart + view.getUint32(tiffStart + 4, little);
+    const count = view.getUint16(ifd0, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (view.getUint16(entry, little) === 0x0112) {
+            const value = view.getUint16(entry + 8, little);
+            return value >= 1 && value <= 8 ? value : 1;
+        }
+    }
+    return 1;
+}
 
-        // Remove button
-        div.querySelector('.file-remove').addEventListener('click', (e) => {
-            e.stopPropagation();
-            removeFile(index);
-        });
+/**
+ * Map the HEIF 'irot' (anti-clockwise quarter turns) and 'imir' (mirror axis)
+ * properties of the primary item onto the equivalent EXIF orientation value.
+ * Thumbnails and auxiliary images can carry their own, so only properties
+ * 'ipma' associates with the 'pitm' item count.
+ */
+function readHeifOrientation(view) {
+    const meta = findBox(view, 0, view.byteLength, 'meta');
+    if (!meta) return 1;
+    const pitm = findBox(view, meta.start + 4, meta.end, 'pitm'); // meta is a full box
+    const iprp = findBox(view, meta.start + 4, meta.end, 'iprp');
+    const ipco = iprp && findBox(view, iprp.start, iprp.end, 'ipco');
+    if (!pitm || !ipco) return 1;
+
+    const primaryId = view.getUint8(pitm.start) === 0 ? view.getUint16(pitm.start + 4) : view.getUint32(pitm.start + 4);
+    const properties = listBoxes(view, ipco.start, ipco.end);
+    const associated = listBoxes(view, iprp.start, iprp.end)
+        .filter(box => box.type === 'ipma')
+        .flatMap(ipma => readHeifAssociations(view, ipma, primaryId))
+        .map(index => properties[index - 1])   // 1-based, 0 means none
+        .filter(Boolean);
+
+    const irot = associated.find(box => box.type === 'irot');
+    const imir = associated.find(box => box.type === 'imir');
+    const turns = irot ? view.getUint8(irot.start) & 0x03 : 0;
+    const mirror = imir ? (view.getUint8(imir.start) & 0x01) : -1; // 0 = vertical axis, 1 = horizontal axis
+
+    // Indexed by anti-clockwise quarter turns
+    const plain = [1, 8, 3, 6];
+    const mirroredH = [2, 7, 4, 5];
+    const mirroredV = [4, 5, 2, 7];
+    if (mirror === 0) return mirroredH[turns];
+    if (mirror === 1) return mirroredV[turns];
+    return plain[turns];
+}
 
-        fileList.appendChild(div);
-    });
+/**
+ * Property indices an 'ipma' box associates with the given item
+ */
+function readHeifAssociations(view, ipma, itemId) {
+    const version = view.getUint8(ipma.start);
+    const wideIndices = view.getUint8(ipma.start + 3) & 0x01;
+    const count = view.getUint32(ipma.start + 4);
+    let offset = ipma.start + 8;
+    for (let i = 0; i < count && offset < ipma.end; i++) {
+        const id = version < 1 ? view.getUint16(offset) : view.getUint32(offset);
+        offset += version < 1 ? 2 : 4;
+        const associations = view.getUint8(offset++);
+        const indices = [];
+        for (let j = 0; j < associations; j++) {
+            // The top bit flags the property as essential
+            indices.push(wideIndices ? view.getUint16(offset) & 0x7FFF : view.getUint8(offset) & 0x7F);
+            offset += wideIndices ? 2 : 1;
+        }
+        if (id === itemId) return indices;
+    }
+    return [];
+}
 
-    // Show batch buttons if multiple files
-    if (state.files.length > 1) {
-        resizeAllBtn.classList.remove('hidden');
-        downloadAllBtn.classList.remove('hidden');
-    } else {
-        resizeAllBtn.classList.add('hidden');
-        downloadAllBtn.classList.add('hidden');
+/**
+ * Find the first ISO-BMFF box of the given type between start and end
+ */
+function findBox(view, start, end, type) {
+    return listBoxes(view, start, end).find(box => box.type === type) || null;
+}
+
+/**
+ * Every ISO-BMFF box between start and end, in order, as { type, start, end }
+ * with start just past the box header
+ */
+function listBoxes(view, start, end) {
+    const boxes = [];
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = view.getUint32(offset);
+        let header = 8;
+        if (size === 1) {
+            size = Number(view.getBigUint64(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) break;
+        boxes.push({ type: readAscii(view, offset + 4, 4), start: offset + header, end: Math.min(offset + size, end) });
+        offset += size;
     }
+    return boxes;
 }
 
-function selectFile(index) {
-    if (index < 0 || index >= state.files.length) return;
-    state.activeIndex = index;
-    const item = state.files[index];
+function readAscii(view, offset, length) {
+    let str = '';
+    for (let i = 0; i < length && offset + i < view.byteLength; i++) {
+        str += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return str;
+}
 
-    // Update dimensions
-    state.originalWidth = item.naturalWidth;
-    state.originalHeight = item.naturalHeight;
-    state.aspectRatio = item.naturalWidth / item.naturalHeight;
+/**
+ * Detect whether this browser already applies EXIF orientation when decoding
+ * an <img> and in createImageBitmap (used by the resize workers). Builds a
+ * 2×1 JPEG tagged with orientation 6 and checks whether it comes back as
+ * 1×2 from both. Cached after the first call.
+ */
+let autoOrientPromise = null;
+function browserAutoOrients() {
+    if (autoOrientPromise) return autoOrientPromise;
+
+    autoOrientPromise = (async () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = 2;
+        canvas.height = 1;
+        const jpeg = await new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg'));
+        if (!jpeg) return false;
+
+        // APP1 Exif segment: big-endian TIFF, IFD0 with a single Orientation = 6 entry
+        const app1 = new Uint8Array([
+            0xFF, 0xE1, 0x00, 0x22,
+            0x45, 0x78, 0x69, 0x66, 0x00, 0x00,             // "Exif\0\0"
+            0x4D, 0x4D, 0x00, 0x2A, 0x00, 0x00, 0x00, 0x08, // "MM", 42, IFD0 @ 8
+            0x00, 0x01,                                     // 1 entry
+            0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, // Orientation, SHORT, count 1
+            0x00, 0x06, 0x00, 0x00,                         // value 6
+            0x00, 0x00, 0x00, 0x00,                         // no next IFD
+        ]);
+        const bytes = new Uint8Array(await jpeg.arrayBuffer());
+        const tagged = new Blob([bytes.subarray(0, 2), app1, bytes.subarray(2)], { type: 'image/jpeg' });
+
+        const url = URL.createObjectURL(tagged);
+        try {
+            const img = await loadImageElement(url);
+            const bitmap = await decodeSource(tagged);
+            const bitmapOriented = bitmap.width === 1 && bitmap.height === 2;
+            if (bitmap.close) bitmap.close();
+            return img.naturalWidth === 1 && img.naturalHeight === 2 && bitmapOriented;
+        } catch {
+            return false;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+    })();
 
-    dom.widthInput.value = item.naturalWidth;
-    dom.heightInput.value = item.naturalHeight;
-    dom.originalDimensions.textContent = `${item.naturalWidth} × ${item.naturalHeight}`;
-    updateScalePercent();
+    return autoOrientPromise;
+}
 
-    // Update preview
-    showPreviewImage(item.resizedUrl || item.originalUrl);
+// =====================================================
+// METADATA (EXIF / IPTC / XMP / ICC)
+// =====================================================
+// Metadata is read from the source file as raw payloads so it can be
+// written back into JPEG or WebP output regardless of the source format:
+//   exif – TIFF structure (without the "Exif\0\0" prefix)
+//   xmp  – XMP packet bytes
+//   iptc – Photoshop APP13 payload holding the IPTC-NAA record
+//   icc  – complete ICC color profile (listed only, see selectMetadata())
+
+const XMP_JPEG_NS = 'http://ns.adobe.com/xap/1.0/\0';
+const ICC_JPEG_ID = 'ICC_PROFILE\0';
+const IPTC_JPEG_ID = 'Photoshop 3.0\0';
+const JPEG_SEGMENT_MAX = 0xFFFF - 2;   // Payload bytes allowed in one marker segment
+const ICC_CHUNK_MAX = JPEG_SEGMENT_MAX - ICC_JPEG_ID.length - 2;
 
-    // Update results if resized
-    if (item.resizedBlob) {
-        showResults(item);
-    } else {
-        dom.resultsSection.classList.add('hidden');
+/**
+ * Extract metadata payloads from a JPEG, WebP or PNG file
+ */
+function readMetadata(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const meta = { exif: null, xmp: null, iptc: null, icc: null };
+
+    try {
+        if (view.byteLength >= 2 && view.getUint16(0) === 0xFFD8) {
+            readJpegMetadata(view, bytes, meta);
+        } else if (view.byteLength >= 12 && readAscii(view, 0, 4) === 'RIFF' && readAscii(view, 8, 4) === 'WEBP') {
+            readWebpMetadata(view, bytes, meta);
+        } else if (view.byteLength >= 8 && view.getUint32(0) === 0x89504E47) {
+            readPngMetadata(view, bytes, meta);
+        }
+    } catch (err) {
+        console.warn('Could not read metadata:', err);
     }
 
-    // Enable resize button
-    dom.resizeBtn.disabled = false;
-    dom.resizeAllBtn.disabled = false;
+    return meta;
 }
 
-function removeFile(index) {
-    // Revoke object URLs to free memory
-    const item = state.files[index];
-    if (item.resizedUrl) URL.revokeObjectURL(item.resizedUrl);
-
-    state.files.splice(index, 1);
+function readJpegMetadata(view, bytes, meta) {
+    const iccChunks = [];
+    let offset = 2;
+    while (offset + 4 <= view.byteLength) {
+        const marker = view.getUint16(offset);
+        if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+        const start = offset + 4;
+        const end = offset + 2 + view.getUint16(offset + 2);
+
+        if (marker === 0xFFE1 && readAscii(view, start, 6) === 'Exif\0\0') {
+            meta.exif = bytes.slice(start + 6, end);
+        } else if (marker === 0xFFE1 && readAscii(view, start, XMP_JPEG_NS.length) === XMP_JPEG_NS) {
+            meta.xmp = bytes.slice(start + XMP_JPEG_NS.length, end);
+        } else if (marker === 0xFFE2 && readAscii(view, start, ICC_JPEG_ID.length) === ICC_JPEG_ID) {
+            const header = start + ICC_JPEG_ID.length;
+            iccChunks.push({ seq: bytes[header], data: bytes.subarray(header + 2, end) });
+        } else if (marker === 0xFFED && readAscii(view, start, IPTC_JPEG_ID.length) === IPTC_JPEG_ID) {
+            meta.iptc = bytes.slice(start, end);
+        }
+        offset = end;
+    }
 
-    if (state.files.length === 0) {
-        clearAll();
-        return;
+    // ICC profiles larger than one segment are split into numbered chunks
+    if (iccChunks.length) {
+        iccChunks.sort((a, b) => a.seq - b.seq);
+        meta.icc = concatBytes(iccChunks.map(c => c.data));
     }
+}
 
-    // Adjust active index
-    if (state.activeIndex >= state.files.length) {
-        state.activeIndex = state.files.length - 1;
+function readWebpMetadata(view, bytes, meta) {
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+        const id = readAscii(view, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const start = offset + 8;
+        if (id === 'EXIF') {
+            const skip = readAscii(view, start, 6) === 'Exif\0\0' ? 6 : 0;
+            meta.exif = bytes.slice(start + skip, start + size);
+        } else if (id === 'XMP ') {
+            meta.xmp = bytes.slice(start, start + size);
+        } else if (id === 'ICCP') {
+            meta.icc = bytes.slice(start, start + size);
+        }
+        offset = start + size + (size & 1);
     }
+}
 
-    selectFile(state.activeIndex);
-    renderFileList();
+function readPngMetadata(view, bytes, meta) {
+    let offset = 8;
+    while (offset + 12 <= view.byteLength) {
+        const size = view.getUint32(offset);
+        const type = readAscii(view, offset + 4, 4);
+        const start = offset + 8;
+        if (type === 'eXIf') {
+            meta.exif = bytes.slice(start, start + size);
+        } else if (type === 'iTXt' && readAscii(view, start, 18) === 'XML:com.adobe.xmp\0') {
+            // keyword\0, compression flag, method, language\0, translated keyword\0, text
+            let p = start + 18;
+            const compressed = bytes[p];
+            p += 2;
+            while (bytes[p] !== 0) p++;
+            p++;
+            while (bytes[p] !== 0) p++;
+            p++;
+            if (!compressed) meta.xmp = bytes.slice(p, start + size);
+        } else if (type === 'IEND') {
+            break;
+        }
+        offset = start + size + 4; // Skip CRC
+    }
 }
 
-function clearAll() {
-    // Revoke all URLs
-    state.files.forEach(item => {
-        if (item.resizedUrl) URL.revokeObjectURL(item.resizedUrl);
-    });
+/**
+ * Payloads to write for the chosen mode: 'strip', 'keep' or 'keep-no-gps'.
+ * EXIF orientation is reset because output pixels are already upright, and
+ * the ICC profile is never written: the browser converts decoded pixels to
+ * sRGB before they reach the canvas, so untagged (sRGB) output is correct.
+ */
+function selectMetadata(meta, mode) {
+    if (!meta || mode === 'strip') return null;
 
-    state.files = [];
-    state.activeIndex = 0;
+    const out = { ...meta, icc: null };
+    if (out.exif) out.exif = rewriteExif(out.exif, { stripGps: mode === 'keep-no-gps' });
+    if (out.xmp && mode === 'keep-no-gps') out.xmp = stripXmpGps(out.xmp);
 
-    dom.batchSection.classList.add('hidden');
-    dom.editorSection.classList.add('hidden');
-    dom.resultsSection.classList.add('hidden');
-    dom.previewImage.classList.add('hidden');
-    dom.previewPlaceholder.classList.remove('hidden');
-    dom.compareToggle.classList.add('hidden');
-    dom.comparisonContainer.classList.add('hidden');
-    dom.resizeBtn.disabled = true;
-    dom.widthInput.value = '';
-    dom.heightInput.value = '';
-    dom.originalDimensions.textContent = '—';
-    dom.scalePercent.textContent = '100%';
+    return out.exif || out.xmp || out.iptc || out.icc ? out : null;
+}
 
-    showToast('All images cleared', 'info');
+/**
+ * Bytes the selected metadata will add to an output file, so target-size
+ * mode can leave room for it
+ */
+function metadataOverhead(meta, format) {
+    if (format !== 'image/jpeg' && format !== 'image/webp') return 0;
+    const selected = selectMetadata(meta, state.metadataMode);
+    if (!selected) return 0;
+    const { exif, xmp, iptc, icc } = selected;
+    return [exif, xmp, icc, format === 'image/jpeg' ? iptc : null]
+        .reduce((sum, part) => sum + (part ? part.length + 64 : 0), 30);
 }
 
-function showEditor() {
-    dom.editorSection.classList.remove('hidden');
-    // Trigger scroll animations
-    setTimeout(() => {
-        document.querySelectorAll('.animate-on-scroll').forEach(el => {
-            el.classList.add('is-visible');
-        });
-    }, 100);
+/**
+ * Write the selected metadata into an encoded JPEG or WebP blob
+ */
+async function embedMetadata(blob, meta, format, width, height) {
+    const selected = selectMetadata(meta, state.metadataMode);
+    if (!selected) return blob;
+    if (format === 'image/jpeg') return writeJpegMetadata(blob, selected);
+    if (format === 'image/webp') return writeWebpMetadata(blob, selected, width, height);
+    return blob;
 }
 
-// =====================================================
-// CONTROLS (Width / Height / Aspect Lock)
-// =====================================================
-function initControls() {
-    const { widthInput, heightInput, lockAspect, resizeBtn, resizeAllBtn, downloadBtn, downloadAllBtn, resetBtn } = dom;
+async function writeJpegMetadata(blob, meta) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const encoder = new TextEncoder();
+    const segments = [];
 
-    // Width input change
-    widthInput.addEventListener('input', () => {
-        if (state.aspectLocked && widthInput.value) {
-            const w = parseInt(widthInput.value);
-            if (!isNaN(w)) {
-                heightInput.value = Math.round(w / state.aspectRatio);
-            }
-        }
-        updateScalePercent();
-    });
+    const push = (marker, ...parts) => {
+        const segment = jpegSegment(marker, parts);
+        if (segment) segments.push(segment);
+        else console.warn(`Metadata segment 0x${marker.toString(16)} too large for JPEG; skipped`);
+    };
 
-    // Height input change
-    heightInput.addEventListener('input', () => {
-        if (state.aspectLocked && heightInput.value) {
-            const h = parseInt(heightInput.value);
-            if (!isNaN(h)) {
-                widthInput.value = Math.round(h * state.aspectRatio);
-            }
+    if (meta.exif) push(0xFFE1, encoder.encode('Exif\0\0'), meta.exif);
+    if (meta.xmp) push(0xFFE1, encoder.encode(XMP_JPEG_NS), meta.xmp);
+    if (meta.icc) {
+        const count = Math.ceil(meta.icc.length / ICC_CHUNK_MAX);
+        for (let i = 0; i < count; i++) {
+            const chunk = meta.icc.subarray(i * ICC_CHUNK_MAX, (i + 1) * ICC_CHUNK_MAX);
+            push(0xFFE2, encoder.encode(ICC_JPEG_ID), new Uint8Array([i + 1, count]), chunk);
         }
-        updateScalePercent();
-    });
+    }
+    if (meta.iptc) push(0xFFED, meta.iptc);
 
-    // Aspect ratio lock toggle
-    lockAspect.addEventListener('click', () => {
-        state.aspectLocked = !state.aspectLocked;
-        dom.lockIcon.setAttribute('data-lucide', state.aspectLocked ? 'lock' : 'unlock');
-        lockAspect.classList.toggle('bg-primary-100', state.aspectLocked);
-        lockAspect.classList.toggle('dark:bg-primary-900/40', state.aspectLocked);
-        lockAspect.classList.toggle('bg-gray-100', !state.aspectLocked);
-        lockAspect.classList.toggle('dark:bg-gray-800', !state.aspectLocked);
-        lockAspect.title = state.aspectLocked ? 'Unlock aspect ratio' : 'Lock aspect ratio';
-        if (window.lucide) lucide.createIcons();
-        showToast(state.aspectLocked ? 'Aspect ratio locked' : 'Aspect ratio unlocked', 'info');
-    });
+    // Insert after SOI and the JFIF APP0 segment, if any
+    let offset = 2;
+    if (bytes[2] === 0xFF && bytes[3] === 0xE0) offset += 2 + ((bytes[4] << 8) | bytes[5]);
 
-    // Resize button
-    resizeBtn.addEventListener('click', () => resizeCurrent());
-    resizeAllBtn.addEventListener('click', () => resizeAll());
+    return new Blob([bytes.subarray(0, offset), ...segments, bytes.subarray(offset)], { type: 'image/jpeg' });
+}
 
-    // Download
+function jpegSegment(marker, parts) {
+    const length = parts.reduce((sum, p) => sum + p.length, 0);
+    if (length > JPEG_SEGMENT_MAX) return null;
+    const header = new Uint8Array([marker >> 8, marker & 0xFF, (length + 2) >> 8, (length + 2) & 0xFF]);
+    return concatBytes([header, ...parts]);
+}
+
+/**
+ * Rebuild a WebP as the extended (VP8X) format carrying ICCP/EXIF/XMP
+ * chunks. WebP has no IPTC container, so IPTC is dropped.
+ */
+async function writeWebpMetadata(blob, meta, width, height) {
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    const chunks = [];
+    let flags = 0;
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const id = readAscii(view, offset, 4);
+        const size = view.getUint32(offset + 4, true);
+        const data = bytes.subarray(offset + 8, offset + 8 + size);
+        if (id === 'VP8X') flags = data[0];
+        else if (id !== 'ICCP' && id !== 'EXIF' && id !== 'XMP ') chunks.push({ id, data });
+        offset += 8 + size + (size & 1);
+    }
+
+    // Alpha: separate ALPH chunk (lossy) or the alpha_is_used bit (lossless)
+    const vp8l = chunks.find(c => c.id === 'VP8L');
+    if (chunks.some(c => c.id === 'ALPH') || (vp8l && (vp8l.data[4] >> 4) & 1)) flags |= 0x10;
+
+    flags &= ~(0x20 | 0x08 | 0x04);
+    if (meta.icc) flags |= 0x20;
+    if (meta.exif) flags |= 0x08;
+    if (meta.xmp) flags |= 0x04;
+
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = flags;
+    writeUint24LE(vp8x, 4, width - 1);
+    writeUint24LE(vp8x, 7, height - 1);
+
+    const ordered = [
+        { id: 'VP8X', data: vp8x },
+        ...(meta.icc ? [{ id: 'ICCP', data: meta.icc }] : []),
+        ...chunks,
+        ...(meta.exif ? [{ id: 'EXIF', data: meta.exif }] : []),
+        ...(meta.xmp ? [{ id: 'XMP ', data: meta.xmp }] : []),
+    ];
+
+    const parts = [];
+    let riffSize = 4;
+    for (const chunk of ordered) {
+        const header = new DataView(new ArrayBuffer(8));
+        for (let i = 0; i < 4; i++) header.setUint8(i, chunk.id.charCodeAt(i));
+        header.setUint32(4, chunk.data.length, true);
+        parts.push(header, chunk.data);
+        if (chunk.data.length & 1) parts.push(new Uint8Array(1));
+        riffSize += 8 + chunk.data.length + (chunk.data.length & 1);
+    }
+
+    const riff = new DataView(new ArrayBuffer(12));
+    [0x52, 0x49, 0x46, 0x46].forEach((c, i) => riff.setUint8(i, c));      // "RIFF"
+    riff.setUint32(4, riffSize, true);
+    [0x57, 0x45, 0x42, 0x50].forEach((c, i) => riff.setUint8(8 + i, c));  // "WEBP"
+
+    return new Blob([riff, ...parts], { type: 'image/webp' });
+}
+
+function writeUint24LE(bytes, offset, value) {
+    bytes[offset] = value & 0xFF;
+    bytes[offset + 1] = (value >> 8) & 0xFF;
+    bytes[offset + 2] = (value >> 16) & 0xFF;
+}
+
+// ── TIFF / EXIF helpers ─────────────────────────────
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * Entries of the IFD at ifdOffset: [{ tag, type, count, entryOffset, valueOffset }]
+ */
+function readIfdEntries(view, ifdOffset, little) {
+    const entries = [];
+    if (ifdOffset + 2 > view.byteLength) return entries;
+    const count = view.getUint16(ifdOffset, little);
+    for (let i = 0; i < count; i++) {
+        const entryOffset = ifdOffset + 2 + i * 12;
+        if (entryOffset + 12 > view.byteLength) break;
+        const type = view.getUint16(entryOffset + 2, little);
+        const valueCount = view.getUint32(entryOffset + 4, little);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * valueCount;
+        entries.push({
+            tag: view.getUint16(entryOffset, little),
+            type,
+            count: valueCount,
+            size,
+            entryOffset,
+            valueOffset: size > 4 ? view.getUint32(entryOffset + 8, little) : entryOffset + 8,
+        });
+    }
+    return entries;
+}
+
+function readIfdValue(view, entry, little) {
+    const { type, count, valueOffset } = entry;
+    if (valueOffset + entry.size > view.byteLength) return null;
+    if (type === 2) return readAscii(view, valueOffset, count).replace(/\0+$/, '').trim();
+
+    const values = [];
+    for (let i = 0; i < Math.min(count, 16); i++) {
+        const at = valueOffset + i * TIFF_TYPE_SIZES[type];
+        if (type === 3) values.push(view.getUint16(at, little));
+        else if (type === 4) values.push(view.getUint32(at, little));
+        else if (type === 9) values.push(view.getInt32(at, little));
+        else if (type === 5) values.push(view.getUint32(at, little) / (view.getUint32(at + 4, little) || 1));
+        else if (type === 10) values.push(view.getInt32(at, little) / (view.getInt32(at + 4, little) || 1));
+        else values.push(view.getUint8(at));
+    }
+    return count === 1 ? values[0] : values;
+}
+
+/**
+ * Read IFD0, the Exif sub-IFD and the GPS sub-IFD into tag → value maps
+ */
+function parseExif(tiff) {
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const little = view.getUint16(0) === 0x4949;
+    const readIfd = (offset) => {
+        const map = new Map();
+        readIfdEntries(view, offset, little).forEach(e => map.set(e.tag, readIfdValue(view, e, little)));
+        return map;
+    };
+
+    const ifd0 = readIfd(view.getUint32(4, little));
+    const exif = ifd0.has(0x8769) ? readIfd(ifd0.get(0x8769)) : new Map();
+    const gps = ifd0.has(0x8825) ? readIfd(ifd0.get(0x8825)) : new Map();
+    return { ifd0, exif, gps };
+}
+
+/**
+ * Copy of an EXIF block with Orientation reset to 1 and, optionally, the
+ * GPS IFD unlinked and its bytes zeroed
+ */
+function rewriteExif(tiff, { stripGps }) {
+    const out = tiff.slice();
+    const view = new DataView(out.buffer);
+    try {
+        const little = view.getUint16(0) === 0x4949;
+        const ifd0 = view.getUint32(4, little);
+        const entries = readIfdEntries(view, ifd0, little);
+
+        const orientation = entries.find(e => e.tag === 0x0112);
+        if (orientation) view.setUint16(orientation.valueOffset, 1, little);
+
+        const gpsEntry = stripGps && entries.find(e => e.tag === 0x8825);
+        if (gpsEntry) {
+            // Wipe the GPS IFD and any out-of-line values it points to
+            const gpsOffset = view.getUint32(gpsEntry.entryOffset + 8, little);
+            const gpsEntries = readIfdEntries(view, gpsOffset, little);
+            gpsEntries.forEach(e => {
+                if (e.size > 4) out.fill(0, e.valueOffset, Math.min(out.length, e.valueOffset + e.size));
+            });
+            out.fill(0, gpsOffset, Math.min(out.length, gpsOffset + 2 + gpsEntries.length * 12 + 4));
+
+            // Remove the pointer entry from IFD0 by shifting the rest up
+            const count = entries.length;
+            const tableEnd = ifd0 + 2 + count * 12 + 4;   // Includes the next-IFD offset
+            out.copyWithin(gpsEntry.entryOffset, gpsEntry.entryOffset + 12, tableEnd);
+            out.fill(0, tableEnd - 12, tableEnd);
+            view.setUint16(ifd0, count - 1, little);
+        }
+    } catch (err) {
+        console.warn('Could not rewrite EXIF:', err);
+        return stripGps ? null : out;
+    }
+    return out;
+}
+
+/**
+ * Remove exif:GPS* properties (attribute and element forms) from XMP
+ */
+function stripXmpGps(xmp) {
+    const text = new TextDecoder().decode(xmp)
+        .replace(/\s+exif:GPS\w+="[^"]*"/g, '')
+        .replace(/<exif:GPS(\w+)[^>]*?\/>/g, '')
+        .replace(/<exif:GPS(\w+)[^>]*>[\s\S]*?<\/exif:GPS\1>/g, '');
+    return new TextEncoder().encode(text);
+}
+
+// ── Human-readable summary ──────────────────────────
+
+/**
+ * Describe the metadata for display: [{ group, label, value, gps }]
+ */
+function describeMetadata(meta) {
+    const rows = [];
+    const add = (group, label, value, gps = false) => {
+        if (value !== null && value !== undefined && value !== '') rows.push({ group, label, value: String(value), gps });
+    };
+
+    if (meta.exif) {
+        try {
+            const { ifd0, exif, gps } = parseExif(meta.exif);
+            add('EXIF', 'Camera', [ifd0.get(0x010F), ifd0.get(0x0110)].filter(Boolean).join(' '));
+            add('EXIF', 'Lens', exif.get(0xA434));
+            add('EXIF', 'Taken', exif.get(0x9003) || ifd0.get(0x0132));
+            if (exif.has(0x829A)) {
+                const t = exif.get(0x829A);
+                add('EXIF', 'Exposure', t > 0 && t < 1 ? `1/${Math.round(1 / t)} s` : `${t} s`);
+            }
+            if (exif.has(0x829D)) add('EXIF', 'Aperture', `f/${exif.get(0x829D).toFixed(1)}`);
+            add('EXIF', 'ISO', exif.get(0x8827));
+            if (exif.has(0x920A)) add('EXIF', 'Focal length', `${Math.round(exif.get(0x920A))} mm`);
+            add('EXIF', 'Software', ifd0.get(0x0131));
+            add('EXIF', 'Artist', ifd0.get(0x013B));
+            add('EXIF', 'Copyright', ifd0.get(0x8298));
+
+            const lat = toDegrees(gps.get(0x0002), gps.get(0x0001));
+            const lon = toDegrees(gps.get(0x0004), gps.get(0x0003));
+            if (lat !== null && lon !== null) add('EXIF', 'GPS', `${lat.toFixed(5)}, ${lon.toFixed(5)}`, true);
+            if (gps.has(0x0006)) add('EXIF', 'Altitude', `${Math.round(gps.get(0x0006))} m`, true);
+        } catch (err) {
+            add('EXIF', 'EXIF', `${formatBytes(meta.exif.length)} (unreadable)`);
+        }
+    }
+
+    if (meta.iptc) {
+        const iptc = parseIptc(meta.iptc);
+        add('IPTC', 'Title', iptc.get(5));
+        add('IPTC', 'Caption', iptc.get(120));
+        add('IPTC', 'Creator', iptc.get(80));
+        add('IPTC', 'Copyright', iptc.get(116));
+        add('IPTC', 'Keywords', iptc.get(25));
+        add('IPTC', 'Location', [iptc.get(90), iptc.get(101)].filter(Boolean).join(', '));
+    }
+
+    if (meta.xmp) {
+        const text = new TextDecoder().decode(meta.xmp);
+        add('XMP', 'Creator', readXmpProperty(text, 'dc:creator'));
+        add('XMP', 'Rights', readXmpProperty(text, 'dc:rights'));
+        add('XMP', 'Packet', formatBytes(meta.xmp.length));
+        if (/exif:GPS\w+/.test(text)) add('XMP', 'GPS', 'Location properties present', true);
+    }
+
+    if (meta.icc) {
+        add('ICC', 'Color profile', readIccDescription(meta.icc) || formatBytes(meta.icc.length));
+    }
+
+    return rows;
+}
+
+function toDegrees(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const deg = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === 'S' || ref === 'W' ? -deg : deg;
+}
+
+/**
+ * IPTC-NAA record 2 datasets from a Photoshop APP13 payload (dataset → text)
+ */
+function parseIptc(payload) {
+    const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+    const decoder = new TextDecoder();
+    const values = new Map();
+
+    // Walk the 8BIM image resource blocks looking for 0x0404 (IPTC-NAA)
+    let offset = IPTC_JPEG_ID.length;
+    while (offset + 12 <= view.byteLength && readAscii(view, offset, 4) === '8BIM') {
+        const id = view.getUint16(offset + 4);
+        const nameLength = view.getUint8(offset + 6);
+        const nameSize = (nameLength + 2) & ~1;             // Pascal string, padded to even
+        const size = view.getUint32(offset + 6 + nameSize);
+        const start = offset + 10 + nameSize;
+
+        if (id === 0x0404) {
+            let p = start;
+            while (p + 5 <= start + size && view.getUint8(p) === 0x1C) {
+                const record = view.getUint8(p + 1);
+                const dataset = view.getUint8(p + 2);
+                const length = view.getUint16(p + 3);
+                if (record === 2) {
+                    const text = decoder.decode(payload.subarray(p + 5, p + 5 + length));
+                    values.set(dataset, values.has(dataset) ? `${values.get(dataset)}, ${text}` : text);
+                }
+                p += 5 + length;
+            }
+        }
+        offset = start + size + (size & 1);
+    }
+
+    return values;
+}
+
+function readXmpProperty(text, name) {
+    const match = text.match(new RegExp(`<${name}[^>]*>([\\s\\S]*?)</${name}>`));
+    if (!match) return null;
+    const items = [...match[1].matchAll(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/g)].map(m => m[1].trim());
+    return (items.length ? items.join(', ') : match[1].trim()) || null;
+}
+
+/**
+ * Profile description from an ICC 'desc' tag (v2 'desc' or v4 'mluc')
+ */
+function readIccDescription(icc) {
+    try {
+        const view = new DataView(icc.buffer, icc.byteOffset, icc.byteLength);
+        const tagCount = view.getUint32(128);
+        for (let i = 0; i < tagCount; i++) {
+            const entry = 132 + i * 12;
+            if (readAscii(view, entry, 4) !== 'desc') continue;
+            const offset = view.getUint32(entry + 4);
+            const type = readAscii(view, offset, 4);
+            if (type === 'desc') {
+                return readAscii(view, offset + 12, view.getUint32(offset + 8)).replace(/\0+$/, '');
+            }
+            if (type === 'mluc') {
+                const length = view.getUint32(offset + 20);
+                const start = offset + view.getUint32(offset + 24);
+                let str = '';
+                for (let j = 0; j < length; j += 2) str += String.fromCharCode(view.getUint16(start + j));
+                return str.replace(/\0+$/, '');
+            }
+        }
+    } catch {
+        // Fall through to the generic label
+    }
+    return null;
+}
+
+// =====================================================
+// IMAGE DECODING (format detection + WASM fallbacks)
+// =====================================================
+// Files are identified by their magic bytes rather than file.type, which is
+// empty for many drag-and-drop sources. HEIC/HEIF and AVIF fall back to a
+// WASM decoder, loaded on first use, when the browser can't decode them.
+// The decoders are vendored (libheif-js 1.17.1, @jsquash/avif 1.3.0) and
+// precached by the service worker, so they work offline from the start.
+
+const LIBHEIF_URL = './vendor/libheif-js/libheif-bundle.js';
+const JSQUASH_AVIF_URL = './vendor/jsquash-avif/decode.js';
+
+// ISO-BMFF brands, checked against the major and compatible brands
+const AVIF_BRANDS = ['avif', 'avis'];
+const HEIF_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1'];
+
+// Recognized files that can't be opened, with what to do instead
+const UNSUPPORTED_FORMATS = {
+    pdf:  'PDF documents aren\'t images. Export the page as PNG or JPG first.',
+    psd:  'Photoshop documents can\'t be read in the browser. Export a flattened PNG or JPG first.',
+    cr3:  'Camera RAW files need to be developed first. Export a JPG or TIFF from your camera software.',
+    jxl:  'This browser can\'t decode JPEG XL. Convert it to PNG or JPG first.',
+    tiff: 'This browser can\'t open TIFF files. Export a PNG or JPG first.',
+    svg:  'SVG is a vector format. Open it in a browser or editor and export a PNG at the size you need.',
+};
+
+/**
+ * Identify an image from the first bytes of a file.
+ * Returns { type, label } for decodable images, { label, reason } for
+ * recognized but unsupported files, or null when unknown.
+ */
+function detectImageFormat(buffer) {
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const ascii = (offset, length) => readAscii(view, offset, length);
+    if (view.byteLength < 12) return null;
+
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) return { type: 'image/jpeg', label: 'JPEG' };
+    if (view.getUint32(0) === 0x89504E47) return { type: 'image/png', label: 'PNG' };
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') return { type: 'image/gif', label: 'GIF' };
+    if (ascii(0, 4) === 'RIFF' && ascii(8, 4) === 'WEBP') return { type: 'image/webp', label: 'WebP' };
+    if (ascii(0, 2) === 'BM') return { type: 'image/bmp', label: 'BMP' };
+    if (view.getUint32(0) === 0x00000100) return { type: 'image/x-icon', label: 'ICO' };
+    if (ascii(0, 4) === 'II*\0' || ascii(0, 4) === 'MM\0*') return { type: 'image/tiff', label: 'TIFF' };
+
+    if (ascii(4, 4) === 'ftyp') {
+        const boxSize = Math.min(view.getUint32(0), view.byteLength);
+        const brands = [ascii(8, 4)];
+        for (let offset = 16; offset + 4 <= boxSize; offset += 4) brands.push(ascii(offset, 4));
+
+        if (brands.some(b => AVIF_BRANDS.includes(b))) return { type: 'image/avif', label: 'AVIF' };
+        if (brands.some(b => HEIF_BRANDS.includes(b))) return { type: 'image/heif', label: 'HEIC/HEIF' };
+        if (brands.includes('crx ')) return { label: 'Canon RAW', reason: UNSUPPORTED_FORMATS.cr3 };
+        return null;
+    }
+
+    if (bytes[0] === 0xFF && bytes[1] === 0x0A) return { type: 'image/jxl', label: 'JPEG XL' };
+    if (ascii(4, 8) === 'JXL \r\n\x87\n') return { type: 'image/jxl', label: 'JPEG XL' };
+    if (ascii(0, 5) === '%PDF-') return { label: 'PDF', reason: UNSUPPORTED_FORMATS.pdf };
+    if (ascii(0, 4) === '8BPS') return { label: 'Photoshop', reason: UNSUPPORTED_FORMATS.psd };
+
+    const text = new TextDecoder().decode(bytes.subarray(0, 256)).trimStart();
+    if (text.startsWith('<svg') || (text.startsWith('<?xml') && text.includes('<svg'))) {
+        return { label: 'SVG', reason: UNSUPPORTED_FORMATS.svg };
+    }
+
+    return null;
+}
+
+/**
+ * Decode an image file natively, falling back to a WASM decoder for
+ * HEIC/HEIF and AVIF. Returns { image, native } – image is an ImageBitmap
+ * (or <img>) and native is false when a WASM decoder produced it.
+ */
+async function decodeImageFile(file, format) {
+    try {
+        return { image: await decodeSource(file), native: true };
+    } catch (err) {
+        const decoder = WASM_DECODERS[format.type];
+        if (!decoder) {
+            if (format.type === 'image/jxl') throw new Error(UNSUPPORTED_FORMATS.jxl);
+            if (format.type === 'image/tiff') throw new Error(UNSUPPORTED_FORMATS.tiff);
+            throw new Error(`This browser can't decode this ${format.label} file. It may be damaged or use an unsupported variant.`);
+        }
+
+        try {
+            return { image: await decoder(await file.arrayBuffer()), native: false };
+        } catch (wasmErr) {
+            console.error(wasmErr);
+            throw new Error(`Couldn't decode this ${format.label} file (${wasmErr.message}). If you're offline, the ${format.label} decoder may not be downloaded yet.`);
+        }
+    }
+}
+
+const WASM_DECODERS = {
+    'image/heif': decodeHeif,
+    'image/avif': decodeAvif,
+};
+
+/**
+ * Decode the primary image of a HEIC/HEIF file with libheif (WASM).
+ * libheif applies the file's rotation/mirror transforms itself.
+ */
+async function decodeHeif(buffer) {
+    const lib = await loadLibheif();
+    const decoder = new lib.HeifDecoder();
+    const images = decoder.decode(new Uint8Array(buffer));
+    try {
+        if (!images.length) throw new Error('no image found');
+        const primary = images[0];
+        const imageData = new ImageData(primary.get_width(), primary.get_height());
+        await new Promise((resolve, reject) => {
+            primary.display(imageData, (result) => result ? resolve() : reject(new Error('HEIF decoding failed')));
+        });
+        return await createImageBitmap(imageData);
+    } finally {
+        images.forEach(image => image.free());
+        if (decoder.decoder) lib.heif_context_free(decoder.decoder);
+    }
+}
+
+/**
+ * The libheif module, instantiated once and shared by every HEIC file so a
+ * batch doesn't create a new WASM heap per photo
+ */
+let libheifPromise = null;
+function loadLibheif() {
+    if (libheifPromise) return libheifPromise;
+
+    libheifPromise = loadScript(LIBHEIF_URL).then(() => typeof libheif === 'function' ? libheif() : libheif);
+    libheifPromise.catch(() => { libheifPromise = null; });
+    return libheifPromise;
+}
+
+/**
+ * Decode an AVIF file with libavif (jSquash, WASM)
+ */
+async function decodeAvif(buffer) {
+    const { default: decode } = await import(JSQUASH_AVIF_URL);
+    const imageData = await decode(buffer);
+    if (!imageData) throw new Error('AVIF decoding failed');
+    return createImageBitmap(imageData);
+}
+
+/**
+ * Load a classic script once, resolving when it has run
+ */
+const scriptPromises = new Map();
+function loadScript(url) {
+    if (!scriptPromises.has(url)) {
+        scriptPromises.set(url, new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = url;
+            script.onload = resolve;
+            script.onerror = () => {
+                scriptPromises.delete(url);
+                reject(new Error(`Failed to load ${url}`));
+            };
+            document.head.appendChild(script);
+        }));
+    }
+    return scriptPromises.get(url);
+}
+
+// =====================================================
+// FILE LIST & BATCH MANAGEMENT
+
+// =====================================================
+// Badge shown on a file tile for each batch status
+const FILE_STATUS_BADGES = {
+    queued:     { icon: '…', title: 'Queued', className: 'bg-gray-400 text-white' },
+    processing: { icon: '⟳', title: 'Processing', className: 'bg-primary-500 text-white processing' },
+    done:       { icon: '✓', title: 'Done', className: 'bg-green-500 text-white' },
+    failed:     { icon: '!', title: 'Failed', className: 'bg-red-500 text-white' },
+    cancelled:  { icon: '–', title: 'Cancelled', className: 'bg-gray-400 text-white' },
+};
+
+/**
+ * Status badge, error line and state classes of one file-list row
+ */
+function renderFileStatus(div, item) {
+    const processed = item.renditions.length > 0;
+    const status = item.status && item.status !== 'done' ? item.status : (processed ? 'done' : null);
+    const badge = FILE_STATUS_BADGES[status];
+    div.classList.toggle('processed', processed);
+    div.classList.toggle('failed', status === 'failed');
+
+    div.querySelector('.file-error')?.remove();
+    div.querySelector('.file-status')?.remove();
+    if (status === 'failed') {
+        div.querySelector('.file-name').insertAdjacentHTML('afterend',
+            `<div class="file-error" title="${escapeHtml(item.error || '')}">${escapeHtml(item.error || 'Failed')}</div>`);
+    }
+    if (badge) {
+        div.insertAdjacentHTML('beforeend',
+            `<div class="file-status ${badge.className}" title="${badge.title}">${badge.icon}</div>`);
+    }
+}
+
+function renderFileList() {
+    const { fileList, batchSection, fileCount, resizeAllBtn, downloadAllBtn } = dom;
+
+    if (state.files.length === 0) {
+        batchSection.classList.add('hidden');
+        return;
+    }
+
+    batchSection.classList.remove('hidden');
+    fileCount.textContent = `(${state.files.length})`;
+    fileList.innerHTML = '';
+
+    state.files.forEach((item, index) => {
+        const div = document.createElement('div');
+        div.className = `file-item${index === state.activeIndex ? ' active' : ''}`;
+        div.dataset.id = item.id;
+        div.style.animationDelay = `${index * 50}ms`;
+        div.innerHTML = `
+            <img src="${item.originalUrl}" alt="${item.file.name}" loading="lazy">
+            <div class="file-name" title="${escapeHtml(item.relativePath)}">${item.file.name}</div>
+            <button class="file-remove" title="Remove" aria-label="Remove ${item.file.name}">&times;</button>
+        `;
+        renderFileStatus(div, item);
+
+        // Select on click
+        div.addEventListener('click', (e) => {
+            if (e.target.closest('.file-remove')) return;
+            selectFile(index);
+            renderFileList();
+        });
+
+        // Remove button
+        div.querySelector('.file-remove').addEventListener('click', (e) => {
+            e.stopPropagation();
+            removeFile(index);
+        });
+
+        fileList.appendChild(div);
+    });
+
+    // Show batch buttons if multiple files
+    if (state.files.length > 1) {
+        resizeAllBtn.classList.remove('hidden');
+        downloadAllBtn.classList.remove('hidden');
+        dom.applyAllBtn.classList.remove('hidden');
+        dom.adjustApplyAll.classList.remove('hidden');
+    } else {
+        resizeAllBtn.classList.add('hidden');
+        downloadAllBtn.classList.add('hidden');
+        dom.applyAllBtn.classList.add('hidden');
+        dom.adjustApplyAll.classList.add('hidden');
+    }
+
+    renderBatchReport();
+    scheduleSessionSave();
+}
+
+function selectFile(index) {
+    if (index < 0 || index >= state.files.length) return;
+    state.activeIndex = index;
+    const item = state.files[index];
+
+    // Update dimensions
+    const { w: regionW, h: regionH } = getSourceRegion(item);
+    state.originalWidth = item.naturalWidth;
+    state.originalHeight = item.naturalHeight;
+    state.aspectRatio = regionW / regionH;
+
+    applySettingsToControls(item.settings);
+    renderTransformControls(item);
+    renderAdjustmentControls(item);
+    renderMetadataList(item);
+    scheduleResamplePreview();
+    renderAnimationNote(item);
+    dom.originalDimensions.textContent = `${item.naturalWidth} × ${item.naturalHeight}`;
+    updateScalePercent();
+
+    // Update preview (cropping always works on the original)
+    if (state.isCropping) {
+        if (!item.crop) item.crop = defaultCrop(item, getPresetRatio());
+        showPreviewImage(getEditedPreviewUrl(item));
+    } else {
+        showPreviewImage(getActiveRendition(item)?.url || getEditedPreviewUrl(item));
+    }
+
+    // Update results if resized
+    if (item.renditions.length) {
+        showResults(item);
+    } else {
+        dom.resultsSection.classList.add('hidden');
+    }
+
+    // Enable resize button
+    dom.resizeBtn.disabled = false;
+    dom.resizeAllBtn.disabled = false;
+    scheduleSessionSave();
+}
+
+function removeFile(index) {
+    recordHistory('Remove image');
+
+    // Revoke object URLs to free memory
+    clearRenditions(state.files[index]);
+    revokePreviewUrls(state.files[index]);
+
+    state.files.splice(index, 1);
+
+    if (state.files.length === 0) {
+        clearAll();
+        return;
+    }
+
+    // Adjust active index
+    if (state.activeIndex >= state.files.length) {
+        state.activeIndex = state.files.length - 1;
+    }
+
+    selectFile(state.activeIndex);
+    renderFileList();
+}
+
+function clearAll() {
+    if (state.files.length) recordHistory('Clear all');
+
+    // Revoke all URLs
+    state.files.forEach(item => {
+        clearRenditions(item);
+        revokePreviewUrls(item);
+    });
+
+    setCropMode(false);
+    state.files = [];
+    state.activeIndex = 0;
+    state.batch = null;
+    resetWorkspaceView();
+
+    // The saved copy goes too, so a reload doesn't bring the images back
+    saveSession();
+
+    showToast('All images cleared', 'info');
+}
+
+/**
+ * Put the page back to its empty state once the last file is gone
+ */
+function resetWorkspaceView() {
+    dom.batchSection.classList.add('hidden');
+    dom.editorSection.classList.add('hidden');
+    dom.resultsSection.classList.add('hidden');
+    dom.previewImage.classList.add('hidden');
+    dom.previewPlaceholder.classList.remove('hidden');
+    dom.compareToggle.classList.add('hidden');
+    dom.comparisonContainer.classList.add('hidden');
+    layoutSafeZone();
+    dom.resizeBtn.disabled = true;
+    dom.widthInput.value = '';
+    dom.heightInput.value = '';
+    dom.originalDimensions.textContent = '—';
+    dom.scalePercent.textContent = '100%';
+    dom.sessionNotice.classList.add('hidden');
+}
+
+function showEditor() {
+    dom.editorSection.classList.remove('hidden');
+    // Trigger scroll animations
+    setTimeout(() => {
+        document.querySelectorAll('.animate-on-scroll').forEach(el => {
+            el.classList.add('is-visible');
+        });
+    }, 100);
+}
+
+// =====================================================
+// CONTROLS (Width / Height / Aspect Lock)
+// =====================================================
+function initControls() {
+    const { widthInput, heightInput, lockAspect, resizeBtn, resizeAllBtn, applyAllBtn, downloadBtn, downloadAllBtn, resetBtn } = dom;
+
+    // Width input change
+    widthInput.addEventListener('input', () => {
+        recordHistory('Change dimensions');
+        if (state.aspectLocked && widthInput.value) {
+            const w = parseInt(widthInput.value);
+            if (!isNaN(w)) {
+                heightInput.value = Math.round(w / state.aspectRatio);
+            }
+        }
+        updateScalePercent();
+        saveActiveSettings();
+        scheduleResamplePreview();
+    });
+
+    // Height input change
+    heightInput.addEventListener('input', () => {
+        recordHistory('Change dimensions');
+        if (state.aspectLocked && heightInput.value) {
+            const h = parseInt(heightInput.value);
+            if (!isNaN(h)) {
+                widthInput.value = Math.round(h * state.aspectRatio);
+            }
+        }
+        updateScalePercent();
+        saveActiveSettings();
+        scheduleResamplePreview();
+    });
+
+    // Aspect ratio lock toggle
+    lockAspect.addEventListener('click', () => {
+        state.aspectLocked = !state.aspectLocked;
+        dom.lockIcon.setAttribute('data-lucide', state.aspectLocked ? 'lock' : 'unlock');
+        lockAspect.classList.toggle('bg-primary-100', state.aspectLocked);
+        lockAspect.classList.toggle('dark:bg-primary-900/40', state.aspectLocked);
+        lockAspect.classList.toggle('bg-gray-100', !state.aspectLocked);
+        lockAspect.classList.toggle('dark:bg-gray-800', !state.aspectLocked);
+        lockAspect.title = state.aspectLocked ? 'Unlock aspect ratio' : 'Lock aspect ratio';
+        if (window.lucide) lucide.createIcons();
+        showToast(state.aspectLocked ? 'Aspect ratio locked' : 'Aspect ratio unlocked', 'info');
+    });
+
+    // Resize button
+    resizeBtn.addEventListener('click', () => resizeCurrent());
+    resizeAllBtn.addEventListener('click', () => resizeAll());
+    applyAllBtn.addEventListener('click', applySettingsToAll);
+
+    // Download
     downloadBtn.addEventListener('click', downloadCurrent);
+    dom.copyBtn.addEventListener('click', copyCurrent);
+    dom.copyBtn.classList.toggle('hidden', !(navigator.clipboard?.write && window.ClipboardItem));
     downloadAllBtn.addEventListener('click', downloadAll);
+    dom.downloadSetBtn.addEventListener('click', downloadSet);
+
+    // Reset
+    resetBtn.addEventListener('click', () => {
+        const item = state.files[state.activeIndex];
+        if (item) {
+            recordHistory('Reset result');
+            clearRenditions(item);
+            selectFile(state.activeIndex);
+            renderFileList();
+            dom.resultsSection.classList.add('hidden');
+            dom.compareToggle.classList.add('hidden');
+            dom.comparisonContainer.classList.add('hidden');
+            state.isComparing = false;
+            showToast('Image reset to original', 'info');
+        }
+    });
+}
+
+// =====================================================
+// PER-FILE SETTINGS
+// =====================================================
+
+/**
+ * Snapshot of the output controls
+ */
+function readSettingsFromControls() {
+    return {
+        width: parseInt(dom.widthInput.value),
+        height: parseInt(dom.heightInput.value),
+        format: state.outputFormat,
+        ext: state.outputExt,
+        quality: state.quality,
+        preset: state.activePreset,
+    };
+}
+
+/**
+ * Store the controls on the selected file only
+ */
+function saveActiveSettings() {
+    const item = state.files[state.activeIndex];
+    if (!item) return;
+    item.settings = readSettingsFromControls();
+    scheduleSessionSave();
+}
+
+/**
+ * Show a file's settings in the controls
+ */
+function applySettingsToControls(settings) {
+    dom.widthInput.value = settings.width;
+    dom.heightInput.value = settings.height;
+
+    setOutputFormat(settings.format);
+    setQuality(settings.quality);
+
+    state.activePreset = settings.preset;
+    renderPresetSelection();
+}
+
+/**
+ * Copy the selected file's settings to every file in the batch
+ */
+function applySettingsToAll() {
+    recordHistory('Apply settings to all');
+    const settings = readSettingsFromControls();
+    state.files.forEach(item => {
+        item.settings = { ...settings };
+        if (settings.preset && item.crop) {
+            item.crop = constrainCrop(item, item.crop, settings.preset.w / settings.preset.h);
+        }
+    });
+    scheduleSessionSave();
+    showToast(`Settings applied to all ${state.files.length} images`, 'success');
+}
+
+function updateScalePercent() {
+    const w = parseInt(dom.widthInput.value);
+    if (!isNaN(w) && state.originalWidth > 0) {
+        const percent = Math.round((w / state.originalWidth) * 100);
+        dom.scalePercent.textContent = `${percent}%`;
+    }
+}
+
+// =====================================================
+// FIT MODE (Cover / Contain / Stretch)
+// =====================================================
+function initFitButtons() {
+    dom.fitBtns.forEach(btn => {
+        btn.addEventListener('click', () => setFitMode(btn.dataset.fit));
+    });
+
+    dom.padColor.addEventListener('input', () => {
+        state.padColor = dom.padColor.value;
+    });
+
+    dom.padTransparent.addEventListener('change', () => {
+        state.padTransparent = dom.padTransparent.checked;
+        dom.padColor.disabled = state.padTransparent;
+    });
+
+    updatePadOptions();
+}
+
+function setFitMode(fit) {
+    state.fitMode = fit;
+    dom.fitBtns.forEach(b => b.classList.toggle('active', b.dataset.fit === fit));
+    updatePadOptions();
+    scheduleResamplePreview();
+    layoutSafeZone();
+}
+
+/**
+ * Show pad options only for 'contain'; transparency needs an alpha-capable format
+ */
+function updatePadOptions() {
+    dom.padOptions.classList.toggle('hidden', state.fitMode !== 'contain');
+
+    const supportsAlpha = formatSupportsAlpha(state.outputFormat);
+    dom.padTransparent.disabled = !supportsAlpha;
+    dom.padTransparentLabel.classList.toggle('opacity-50', !supportsAlpha);
+    dom.padColor.disabled = supportsAlpha && state.padTransparent;
+}
+
+// =====================================================
+// WATERMARK
+// =====================================================
+function initWatermarkPanel() {
+    const { watermark } = state;
+
+    dom.watermarkEnabled.addEventListener('change', () => {
+        watermark.enabled = dom.watermarkEnabled.checked;
+        renderWatermarkControls();
+    });
+
+    dom.watermarkTypeBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            watermark.type = btn.dataset.watermarkType;
+            renderWatermarkControls();
+        });
+    });
+
+    dom.watermarkFontBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            watermark.font = btn.dataset.watermarkFont;
+            renderWatermarkControls();
+        });
+    });
+
+    dom.watermarkPosBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            watermark.position = btn.dataset.watermarkPosition;
+            // Tiles read better on a slant; anchored marks default to level
+            if (watermark.position === 'tile' && !watermark.rotation) watermark.rotation = -30;
+            renderWatermarkControls();
+        });
+    });
+
+    dom.watermarkSliders.forEach(input => {
+        input.addEventListener('input', () => {
+            watermark[input.dataset.watermark] = parseFloat(input.value);
+            renderWatermarkControls();
+        });
+    });
+
+    dom.watermarkText.addEventListener('input', () => { watermark.text = dom.watermarkText.value; });
+    dom.watermarkColor.addEventListener('input', () => { watermark.color = dom.watermarkColor.value; });
+
+    dom.watermarkFileBtn.addEventListener('click', () => dom.watermarkFile.click());
+    dom.watermarkFile.addEventListener('change', () => {
+        const file = dom.watermarkFile.files[0];
+        dom.watermarkFile.value = '';
+        if (!file) return;
+        if (!file.type.startsWith('image/')) {
+            showToast(`${file.name} isn't an image`, 'error');
+            return;
+        }
+        watermark.image = file;
+        watermark.imageId = createId('logo');
+        watermark.type = 'image';
+        renderWatermarkControls();
+    });
+
+    renderWatermarkControls();
+}
+
+function renderWatermarkControls() {
+    const { watermark } = state;
+    dom.watermarkEnabled.checked = watermark.enabled;
+    dom.watermarkOptions.classList.toggle('opacity-50', !watermark.enabled);
+    dom.watermarkTypeBtns.forEach(b => b.classList.toggle('active', b.dataset.watermarkType === watermark.type));
+    dom.watermarkFontBtns.forEach(b => b.classList.toggle('active', b.dataset.watermarkFont === watermark.font));
+    dom.watermarkPosBtns.forEach(b => b.classList.toggle('active', b.dataset.watermarkPosition === watermark.position));
+    dom.watermarkTextOptions.classList.toggle('hidden', watermark.type !== 'text');
+    dom.watermarkImageOptions.classList.toggle('hidden', watermark.type !== 'image');
+    dom.watermarkFileName.textContent = watermark.image?.name || 'No logo chosen';
+    dom.watermarkText.value = watermark.text;
+    dom.watermarkColor.value = watermark.color;
+
+    dom.watermarkSliders.forEach(input => {
+        const key = input.dataset.watermark;
+        input.value = watermark[key];
+        $(`#${input.id}Value`).textContent = `${watermark[key]}${key === 'rotation' ? '°' : '%'}`;
+    });
+}
+
+/**
+ * Watermark for render jobs, or null when it is off or has nothing to draw
+ */
+function getActiveWatermark() {
+    const { enabled, ...watermark } = state.watermark;
+    if (!enabled) return null;
+    if (watermark.type === 'text' ? !watermark.text.trim() : !watermark.image) return null;
+    return watermark;
+}
+
+// =====================================================
+// ADVANCED RESAMPLING
+// =====================================================
+const RESAMPLE_PROFILES = {
+    'photo':      { ...DEFAULT_RESAMPLE },
+    'screenshot': { filter: 'lanczos2', unsharpAmount: 0, unsharpRadius: 0.6, unsharpThreshold: 2 },
+    'pixel-art':  { filter: 'nearest', unsharpAmount: 0, unsharpRadius: 0.6, unsharpThreshold: 2 },
+};
+const RESAMPLE_PREVIEW_DEBOUNCE_MS = 120;
+
+let resamplePreviewTimer = null;
+let resamplePreviewToken = 0;
+let resamplePreviewSource = null;    // Decoded preview source, see acquireResampleSource()
+
+function initResamplePanel() {
+    dom.profileBtns.forEach(btn => {
+        btn.addEventListener('click', () => setResample(RESAMPLE_PROFILES[btn.dataset.profile]));
+    });
+
+    dom.filterBtns.forEach(btn => {
+        btn.addEventListener('click', () => setResample({ filter: btn.dataset.filter }));
+    });
+
+    [
+        [dom.unsharpAmount, 'unsharpAmount'],
+        [dom.unsharpRadius, 'unsharpRadius'],
+        [dom.unsharpThreshold, 'unsharpThreshold'],
+    ].forEach(([input, key]) => {
+        input.addEventListener('input', () => setResample({ [key]: parseFloat(input.value) }));
+    });
+
+    dom.resamplePanel.addEventListener('toggle', scheduleResamplePreview);
+    renderResampleControls();
+}
+
+function setResample(changes) {
+    state.resample = { ...state.resample, ...changes };
+    renderResampleControls();
+    scheduleResamplePreview();
+}
+
+/**
+ * Reflect state.resample in the panel. A profile stays highlighted only
+ * while every value still matches it.
+ */
+function renderResampleControls() {
+    const r = state.resample;
+    dom.profileBtns.forEach(btn => {
+        const profile = RESAMPLE_PROFILES[btn.dataset.profile];
+        btn.classList.toggle('active', Object.keys(profile).every(key => profile[key] === r[key]));
+    });
+    dom.filterBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.filter === r.filter));
+
+    [
+        [dom.unsharpAmount, r.unsharpAmount],
+        [dom.unsharpRadius, r.unsharpRadius],
+        [dom.unsharpThreshold, r.unsharpThreshold],
+    ].forEach(([input, value]) => {
+        input.value = value;
+        $(`#${input.id}Value`).textContent = value;
+    });
+
+    // Only Pica sharpens; nearest neighbour and the canvas fallback can't
+    const canSharpen = r.filter !== 'nearest' && !!picaInstance;
+    dom.unsharpControls.classList.toggle('opacity-50', !canSharpen);
+    dom.unsharpControls.querySelectorAll('input').forEach(input => { input.disabled = !canSharpen; });
+}
+
+function scheduleResamplePreview() {
+    clearTimeout(resamplePreviewTimer);
+    resamplePreviewTimer = setTimeout(() => {
+        renderResamplePreview().catch(err => console.warn('Resample preview failed:', err));
+    }, RESAMPLE_PREVIEW_DEBOUNCE_MS);
+}
+
+/**
+ * Render the middle of the current output at 1:1 with the chosen filter
+ * and sharpening. Only the source area behind the preview is resized, so
+ * this stays fast for large outputs.
+ */
+async function renderResamplePreview() {
+    const canvas = dom.resamplePreview;
+    const item = state.files[state.activeIndex];
+    if (!dom.resamplePanel.open || !item) return;
+
+    const token = ++resamplePreviewToken;
+    const region = getSourceRegion(item);
+    const outW = parseInt(dom.widthInput.value) || item.settings.width;
+    const outH = parseInt(dom.heightInput.value) || item.settings.height;
+
+    let scaleX = outW / region.w;
+    let scaleY = outH / region.h;
+    if (state.fitMode !== 'stretch') {
+        scaleX = scaleY = state.fitMode === 'cover' ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    }
+
+    const viewW = Math.max(1, Math.min(canvas.width, Math.round(region.w * scaleX)));
+    const viewH = Math.max(1, Math.min(canvas.height, Math.round(region.h * scaleY)));
+    const srcW = Math.max(1, Math.min(region.w, Math.round(viewW / scaleX)));
+    const srcH = Math.max(1, Math.min(region.h, Math.round(viewH / scaleY)));
+    const job = {
+        ...buildRenderJob(item, []),
+        region: {
+            x: region.x + Math.floor((region.w - srcW) / 2),
+            y: region.y + Math.floor((region.h - srcH) / 2),
+            w: srcW,
+            h: srcH,
+        },
+        fitMode: 'stretch',
+        watermark: null,
+    };
+
+    const source = acquireResampleSource(item.source);
+    let result;
+    try {
+        const image = await source.image;
+        if (token !== resamplePreviewToken) return;
+        result = await renderResized(image, job, viewW, viewH, 'image/png');
+    } finally {
+        releaseResampleSource(source);
+    }
+
+    if (token === resamplePreviewToken) {
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(result, Math.floor((canvas.width - viewW) / 2), Math.floor((canvas.height - viewH) / 2));
+    }
+    result.width = 0;
+    result.height = 0;
+}
+
+/**
+ * Decoded source shared by overlapping preview renders of the same file:
+ * { blob, image (Promise), users, stale }. Switching files marks the old
+ * entry stale; its image is closed once the last render using it is done.
+ */
+function acquireResampleSource(blob) {
+    if (resamplePreviewSource?.blob !== blob) {
+        if (resamplePreviewSource) {
+            resamplePreviewSource.stale = true;
+            closeResampleSource(resamplePreviewSource);
+        }
+        const entry = { blob, image: decodeSource(blob), users: 0, stale: false };
+        // A failed decode isn't cached; the next render tries again
+        entry.image.catch(() => {
+            entry.stale = true;
+            if (resamplePreviewSource === entry) resamplePreviewSource = null;
+        });
+        resamplePreviewSource = entry;
+    }
+    resamplePreviewSource.users++;
+    return resamplePreviewSource;
+}
+
+function releaseResampleSource(entry) {
+    entry.users--;
+    closeResampleSource(entry);
+}
+
+function closeResampleSource(entry) {
+    if (!entry.stale || entry.users > 0) return;
+    entry.image.then(image => image.close?.(), () => {});
+}
+
+// =====================================================
+// PRESETS
+// =====================================================
+// Built-in presets only set the dimensions, grouped by platform. Where a
+// platform crops the image or draws UI over it, safeZone describes the part
+// that stays visible (see layoutSafeZone). Custom presets also carry the
+// fit mode, format and quality they were saved with, and are kept in
+// localStorage as { version, presets }, the same shape as an exported file.
+
+const PRESET_CATEGORIES = {
+    instagram: { name: 'Instagram', icon: '📸' },
+    facebook:  { name: 'Facebook', icon: '👍' },
+    twitter:   { name: 'Twitter/X', icon: '🐦' },
+    linkedin:  { name: 'LinkedIn', icon: '💼' },
+    pinterest: { name: 'Pinterest', icon: '📌' },
+    tiktok:    { name: 'TikTok', icon: '🎵' },
+    youtube:   { name: 'YouTube', icon: '▶️' },
+    web:       { name: 'Web & Email', icon: '🌐' },
+    shopify:   { name: 'Shopify', icon: '🛍️' },
+    appstore:  { name: 'App Stores', icon: '📲' },
+};
+
+// Safe zones: 'circle' is the inscribed circle of an avatar crop; 'rect'
+// insets are fractions of the output width (left/right) and height (top/bottom)
+const AVATAR_SAFE_ZONE = { shape: 'circle', label: 'Shown cropped to a circle' };
+const STORY_SAFE_ZONE = { shape: 'rect', top: 0.13, right: 0, bottom: 0.13, left: 0, label: 'Profile bar and reply box cover the top and bottom' };
+const SHORT_VIDEO_SAFE_ZONE = { shape: 'rect', top: 0.08, right: 0.13, bottom: 0.23, left: 0.06, label: 'Caption and buttons cover the bottom and right' };
+
+const BUILT_IN_PRESETS = [
+    { id: 'instagram-post', category: 'instagram', name: 'Instagram Post', label: 'Square Post', width: 1080, height: 1080 },
+    { id: 'instagram-portrait', category: 'instagram', name: 'Instagram Portrait', label: 'Portrait Post', width: 1080, height: 1350 },
+    { id: 'instagram-story', category: 'instagram', name: 'Instagram Story', label: 'Story', width: 1080, height: 1920, safeZone: STORY_SAFE_ZONE },
+    { id: 'instagram-reel', category: 'instagram', name: 'Instagram Reel Cover', label: 'Reel Cover', width: 1080, height: 1920, safeZone: SHORT_VIDEO_SAFE_ZONE },
+    { id: 'instagram-profile', category: 'instagram', name: 'Instagram Profile Photo', label: 'Profile Photo', width: 320, height: 320, safeZone: AVATAR_SAFE_ZONE },
+
+    { id: 'facebook-post', category: 'facebook', name: 'Facebook Post', label: 'Link / Post', width: 1200, height: 630 },
+    { id: 'facebook-square', category: 'facebook', name: 'Facebook Square Post', label: 'Square Post', width: 1080, height: 1080 },
+    { id: 'facebook-story', category: 'facebook', name: 'Facebook Story', label: 'Story', width: 1080, height: 1920, safeZone: STORY_SAFE_ZONE },
+    { id: 'facebook-cover', category: 'facebook', name: 'Facebook Cover', label: 'Cover Photo', width: 851, height: 315,
+        safeZone: { shape: 'rect', top: 0, right: 0.124, bottom: 0, left: 0.124, label: 'Phones show only the centre 640 px' } },
+    { id: 'facebook-profile', category: 'facebook', name: 'Facebook Profile Photo', label: 'Profile Photo', width: 320, height: 320, safeZone: AVATAR_SAFE_ZONE },
+
+    { id: 'twitter-post', category: 'twitter', name: 'Twitter/X Post', label: 'Post Image', width: 1600, height: 900 },
+    { id: 'twitter-header', category: 'twitter', name: 'Twitter Header', label: 'Header', width: 1500, height: 500,
+        safeZone: { shape: 'rect', top: 0.12, right: 0, bottom: 0.12, left: 0, label: 'Top and bottom are cropped on some screens' } },
+    { id: 'twitter-profile', category: 'twitter', name: 'Twitter/X Profile Photo', label: 'Profile Photo', width: 400, height: 400, safeZone: AVATAR_SAFE_ZONE },
+
+    { id: 'linkedin-post', category: 'linkedin', name: 'LinkedIn Post', label: 'Link / Post', width: 1200, height: 627 },
+    { id: 'linkedin-square', category: 'linkedin', name: 'LinkedIn Square Post', label: 'Square Post', width: 1080, height: 1080 },
+    { id: 'linkedin-banner', category: 'linkedin', name: 'LinkedIn Banner', label: 'Profile Banner', width: 1584, height: 396,
+        safeZone: { shape: 'rect', top: 0, right: 0, bottom: 0, left: 0.25, label: 'Profile photo overlaps the lower left on desktop' } },
+    { id: 'linkedin-profile', category: 'linkedin', name: 'LinkedIn Profile Photo', label: 'Profile Photo', width: 400, height: 400, safeZone: AVATAR_SAFE_ZONE },
+    { id: 'linkedin-logo', category: 'linkedin', name: 'LinkedIn Company Logo', label: 'Company Logo', width: 300, height: 300 },
+
+    { id: 'pinterest-pin', category: 'pinterest', name: 'Pinterest Pin', label: 'Standard Pin', width: 1000, height: 1500 },
+    { id: 'pinterest-square', category: 'pinterest', name: 'Pinterest Square Pin', label: 'Square Pin', width: 1000, height: 1000 },
+    { id: 'pinterest-long', category: 'pinterest', name: 'Pinterest Long Pin', label: 'Long Pin', width: 1000, height: 2100 },
+    { id: 'pinterest-idea', category: 'pinterest', name: 'Pinterest Idea Pin', label: 'Idea Pin', width: 1080, height: 1920,
+        safeZone: { shape: 'rect', top: 0.14, right: 0, bottom: 0.2, left: 0, label: 'Profile and caption cover the top and bottom' } },
+    { id: 'pinterest-profile', category: 'pinterest', name: 'Pinterest Profile Photo', label: 'Profile Photo', width: 280, height: 280, safeZone: AVATAR_SAFE_ZONE },
+
+    { id: 'tiktok-video', category: 'tiktok', name: 'TikTok Video Cover', label: 'Video Cover', width: 1080, height: 1920, safeZone: SHORT_VIDEO_SAFE_ZONE },
+    { id: 'tiktok-profile', category: 'tiktok', name: 'TikTok Profile Photo', label: 'Profile Photo', width: 200, height: 200, safeZone: AVATAR_SAFE_ZONE },
+
+    { id: 'youtube-thumbnail', category: 'youtube', name: 'YouTube Thumbnail', label: 'Thumbnail', width: 1280, height: 720 },
+    { id: 'youtube-banner', category: 'youtube', name: 'YouTube Channel Banner', label: 'Channel Banner', width: 2560, height: 1440,
+        safeZone: { shape: 'rect', top: 0.353, right: 0.198, bottom: 0.353, left: 0.198, label: 'Only the centre 1546×423 shows on every device' } },
+    { id: 'youtube-profile', category: 'youtube', name: 'YouTube Profile Photo', label: 'Profile Photo', width: 800, height: 800, safeZone: AVATAR_SAFE_ZONE },
+
+    { id: 'open-graph', category: 'web', name: 'Open Graph Image', label: 'Open Graph', icon: '🔗', width: 1200, height: 630 },
+    { id: 'email-header', category: 'web', name: 'Email Header', label: 'Email Header', icon: '✉️', width: 600, height: 200 },
+    { id: 'email-header-2x', category: 'web', name: 'Email Header @2x', label: 'Email Header @2x', icon: '✉️', width: 1200, height: 400 },
+    { id: 'thumbnail', category: 'web', name: 'Thumbnail', label: 'Thumbnail', icon: '🖼️', width: 150, height: 150 },
+    { id: 'full-hd', category: 'web', name: 'Full HD', label: 'Full HD', icon: '🖥️', width: 1920, height: 1080 },
+    { id: '2k-wallpaper', category: 'web', name: '2K Wallpaper', label: '2K Wallpaper', icon: '🖥️', width: 2560, height: 1440 },
+
+    { id: 'shopify-product', category: 'shopify', name: 'Shopify Product Image', label: 'Product', width: 2048, height: 2048 },
+    { id: 'shopify-collection', category: 'shopify', name: 'Shopify Collection Image', label: 'Collection', width: 1024, height: 1024 },
+    { id: 'shopify-slideshow', category: 'shopify', name: 'Shopify Slideshow', label: 'Slideshow / Banner', width: 1800, height: 1000 },
+
+    { id: 'appstore-iphone-69', category: 'appstore', name: 'App Store iPhone 6.9"', label: 'iPhone 6.9"', width: 1320, height: 2868 },
+    { id: 'appstore-iphone-65', category: 'appstore', name: 'App Store iPhone 6.5"', label: 'iPhone 6.5"', width: 1284, height: 2778 },
+    { id: 'appstore-ipad-13', category: 'appstore', name: 'App Store iPad 13"', label: 'iPad 13"', width: 2064, height: 2752 },
+    { id: 'play-phone', category: 'appstore', name: 'Google Play Phone Screenshot', label: 'Play Phone', width: 1080, height: 1920 },
+    { id: 'play-feature', category: 'appstore', name: 'Google Play Feature Graphic', label: 'Play Feature Graphic', width: 1024, height: 500 },
+];
+
+const PRESET_STORAGE_KEY = 'presets';
+const PRESET_FILE_VERSION = 1;
+const PRESET_NAME_MAX = 40;
+const FIT_MODE_LABELS = { cover: 'Cover', contain: 'Contain', stretch: 'Stretch' };
+
+function initPresets() {
+    state.customPresets = loadCustomPresets();
+
+    Object.entries(PRESET_CATEGORIES).forEach(([key, { name }]) => {
+        dom.presetCategory.add(new Option(name, key));
+    });
+    dom.presetSearch.addEventListener('input', renderPresetGrid);
+    dom.presetCategory.addEventListener('change', renderPresetGrid);
+
+    dom.savePresetBtn.addEventListener('click', () => openPresetForm(null));
+    dom.presetCancelBtn.addEventListener('click', closePresetForm);
+    dom.presetForm.addEventListener('submit', (e) => {
+        e.preventDefault();
+        submitPresetForm();
+    });
+
+    dom.exportPresetsBtn.addEventListener('click', exportPresets);
+    dom.importPresetsBtn.addEventListener('click', () => dom.presetImportInput.click());
+    dom.presetImportInput.addEventListener('change', () => {
+        const file = dom.presetImportInput.files[0];
+        dom.presetImportInput.value = '';
+        if (file) importPresets(file);
+    });
+
+    renderPresets();
+}
+
+/**
+ * Select a preset: set the dimensions and, for custom presets, the fit
+ * mode, format and quality it was saved with
+ */
+function applyPreset(preset) {
+    const { width: w, height: h } = preset;
+    recordHistory('Apply preset');
+
+    // Temporarily unlock aspect ratio for preset
+    const wasLocked = state.aspectLocked;
+    state.aspectLocked = false;
+
+    dom.widthInput.value = w;
+    dom.heightInput.value = h;
+
+    state.aspectLocked = wasLocked;
+    updateScalePercent();
+
+    if (preset.fitMode) setFitMode(preset.fitMode);
+    // A saved format this browser can't encode keeps the current one
+    if (preset.format && (!state.encodableFormats || state.encodableFormats.has(preset.format))) {
+        setOutputFormat(preset.format);
+    }
+    if (preset.quality) setQuality(preset.quality);
+
+    // Keep the crop region in the preset's aspect ratio
+    state.activePreset = { id: preset.id, name: preset.name, w, h };
+    saveActiveSettings();
+    renderPresetSelection();
+    const item = state.files[state.activeIndex];
+    if (item?.crop) {
+        item.crop = constrainCrop(item, item.crop, w / h);
+        renderCropRect();
+    }
+
+    showToast(`Preset: ${preset.name} (${w}×${h})`, 'info');
+}
+
+/**
+ * "Custom" drops the preset and hands over to the width input
+ */
+function clearPreset() {
+    recordHistory('Clear preset');
+    state.activePreset = null;
+    saveActiveSettings();
+    renderPresetSelection();
+    dom.widthInput.focus();
+    dom.widthInput.select();
+}
+
+function renderPresets() {
+    renderPresetGrid();
+    renderCustomPresets();
+    renderPresetSelection();
+}
+
+/**
+ * Built-in presets matching the search box and category, grouped under
+ * their platform. "Custom" is always offered last.
+ */
+function renderPresetGrid() {
+    const grid = dom.presetGrid;
+    const matches = getMatchingPresets(dom.presetSearch.value, dom.presetCategory.value);
+    grid.innerHTML = '';
+
+    let category = null;
+    matches.forEach(preset => {
+        if (preset.category !== category) {
+            category = preset.category;
+            const heading = document.createElement('p');
+            heading.className = 'preset-category';
+            heading.textContent = PRESET_CATEGORIES[category].name;
+            grid.appendChild(heading);
+        }
+        const tile = createPresetTile(preset.id, preset.icon || PRESET_CATEGORIES[category].icon, preset.label, `${preset.width}×${preset.height}`, () => applyPreset(preset));
+        if (preset.safeZone) {
+            tile.insertAdjacentHTML('beforeend', '<span class="preset-safe-zone">Safe zone</span>');
+            tile.title = preset.safeZone.label;
+        }
+        grid.appendChild(tile);
+    });
+    dom.presetNoMatch.classList.toggle('hidden', matches.length > 0);
+
+    grid.appendChild(createPresetTile('', '✏️', 'Custom', 'Any size', clearPreset));
+    renderPresetSelection();
+}
+
+/**
+ * Every word of the query must appear in the preset's name, label,
+ * platform or size ("1080x1920" and "1080×1920" both match)
+ */
+function getMatchingPresets(query, category) {
+    const words = query.toLowerCase().replace(/×/g, 'x').split(/\s+/).filter(Boolean);
+    return BUILT_IN_PRESETS.filter(preset => {
+        if (category && preset.category !== category) return false;
+        const text = [preset.name, preset.label, PRESET_CATEGORIES[preset.category].name, `${preset.width}x${preset.height}`]
+            .join(' ')
+            .toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+}
+
+function createPresetTile(id, icon, label, size, onClick) {
+    const btn = document.createElement('button');
+    btn.className = 'preset-btn';
+    btn.dataset.presetId = id;
+    btn.innerHTML = `
+        <span class="preset-icon">${icon}</span>
+        <span class="preset-label">${escapeHtml(label)}</span>
+        <span class="preset-size">${size}</span>
+    `;
+    btn.addEventListener('click', onClick);
+    return btn;
+}
+
+function renderCustomPresets() {
+    const list = dom.customPresetList;
+    const presets = state.customPresets;
+    list.innerHTML = '';
+    dom.customPresetEmpty.classList.toggle('hidden', presets.length > 0);
+
+    presets.forEach((preset, index) => {
+        const row = document.createElement('div');
+        row.className = 'custom-preset';
+        row.dataset.presetId = preset.id;
+        row.innerHTML = `
+            <button class="custom-preset-apply" title="Apply preset">
+                <span class="preset-label">${escapeHtml(preset.name)}</span>
+                <span class="preset-size">${describePreset(preset)}</span>
+            </button>
+            <button class="custom-preset-action" data-action="up" title="Move up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}><i data-lucide="chevron-up" class="w-4 h-4"></i></button>
+            <button class="custom-preset-action" data-action="down" title="Move down" aria-label="Move down" ${index === presets.length - 1 ? 'disabled' : ''}><i data-lucide="chevron-down" class="w-4 h-4"></i></button>
+            <button class="custom-preset-action" data-action="edit" title="Edit" aria-label="Edit preset"><i data-lucide="pencil" class="w-4 h-4"></i></button>
+            <button class="custom-preset-action danger" data-action="delete" title="Delete" aria-label="Delete preset"><i data-lucide="trash-2" class="w-4 h-4"></i></button>
+        `;
+
+        row.querySelector('.custom-preset-apply').addEventListener('click', () => applyPreset(preset));
+        row.querySelector('[data-action="up"]').addEventListener('click', () => moveCustomPreset(index, -1));
+        row.querySelector('[data-action="down"]').addEventListener('click', () => moveCustomPreset(index, 1));
+        row.querySelector('[data-action="edit"]').addEventListener('click', () => openPresetForm(preset));
+        row.querySelector('[data-action="delete"]').addEventListener('click', () => deleteCustomPreset(preset));
+
+        list.appendChild(row);
+    });
+
+    if (window.lucide) lucide.createIcons();
+}
+
+/**
+ * "1080×1080 · Cover · WEBP 85%"
+ */
+function describePreset(preset) {
+    const parts = [`${preset.width}×${preset.height}`];
+    if (preset.fitMode) parts.push(FIT_MODE_LABELS[preset.fitMode]);
+    if (preset.format) {
+        const format = getFormatExtension(preset.format).toUpperCase();
+        parts.push(preset.quality ? `${format} ${Math.round(preset.quality * 100)}%` : format);
+    }
+    return parts.join(' · ');
+}
+
+/**
+ * Highlight the selected file's preset; "Custom" when it has none
+ */
+function renderPresetSelection() {
+    const id = state.activePreset?.id || '';
+    $$('#presetGrid .preset-btn, .custom-preset').forEach(el => {
+        el.classList.toggle('active', el.dataset.presetId === id);
+    });
+    layoutSafeZone();
+}
+
+/**
+ * Show the preset form, either to save the current settings as a new
+ * preset or to edit an existing one
+ */
+function openPresetForm(preset) {
+    state.editingPresetId = preset?.id || null;
+    dom.presetName.value = preset ? preset.name : '';
+    dom.presetWidth.value = preset ? preset.width : parseInt(dom.widthInput.value) || '';
+    dom.presetHeight.value = preset ? preset.height : parseInt(dom.heightInput.value) || '';
+    // A new preset always takes the current fit, format and quality
+    dom.presetUseCurrent.checked = false;
+    dom.presetUseCurrentLabel.classList.toggle('hidden', !preset);
+
+    dom.presetForm.classList.remove('hidden');
+    dom.presetName.focus();
+}
+
+function closePresetForm() {
+    state.editingPresetId = null;
+    dom.presetForm.classList.add('hidden');
+}
+
+function submitPresetForm() {
+    const name = dom.presetName.value.trim().slice(0, PRESET_NAME_MAX);
+    const width = parseInt(dom.presetWidth.value);
+    const height = parseInt(dom.presetHeight.value);
+
+    const error = !name ? 'Please name the preset' : validateDimensions(width, height);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    const current = { fitMode: state.fitMode, format: state.outputFormat, quality: state.quality };
+    const existing = state.customPresets.find(p => p.id === state.editingPresetId);
+
+    if (existing) {
+        Object.assign(existing, { name, width, height }, dom.presetUseCurrent.checked ? current : {});
+        if (state.activePreset?.id === existing.id) {
+            state.activePreset = { id: existing.id, name, w: width, h: height };
+            saveActiveSettings();
+        }
+        showToast(`Preset "${name}" updated`, 'success');
+    } else {
+        state.customPresets.push({ id: createId('custom'), name, width, height, ...current });
+        showToast(`Preset "${name}" saved`, 'success');
+    }
+
+    closePresetForm();
+    presetsChanged();
+}
+
+function moveCustomPreset(index, offset) {
+    const presets = state.customPresets;
+    const target = index + offset;
+    if (target < 0 || target >= presets.length) return;
+    [presets[index], presets[target]] = [presets[target], presets[index]];
+    presetsChanged();
+}
+
+function deleteCustomPreset(preset) {
+    state.customPresets = state.customPresets.filter(p => p !== preset);
+    if (state.editingPresetId === preset.id) closePresetForm();
+    presetsChanged();
+    showToast(`Preset "${preset.name}" deleted`, 'info');
+}
+
+/**
+ * Persist the library and refresh everything built from it
+ */
+function presetsChanged() {
+    saveCustomPresets();
+    renderPresets();
+    syncPresetRenditionSizes();
+}
+
+/**
+ * Validate one preset from storage or an imported file. Returns a clean
+ * copy, or null if it can't be used. Unknown fit modes and formats are
+ * dropped rather than rejecting the whole preset.
+ */
+function normalizePreset(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const name = typeof raw.name === 'string' ? raw.name.trim().slice(0, PRESET_NAME_MAX) : '';
+    const width = Math.round(Number(raw.width));
+    const height = Math.round(Number(raw.height));
+    if (!name || validateDimensions(width, height)) return null;
+
+    const preset = {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createId('custom'),
+        name,
+        width,
+        height,
+    };
+    if (FIT_MODE_LABELS[raw.fitMode]) preset.fitMode = raw.fitMode;
+    if ([...dom.formatBtns].some(b => b.dataset.format === raw.format)) preset.format = raw.format;
+    const quality = Number(raw.quality);
+    if (quality > 0 && quality <= 1) preset.quality = quality;
+    return preset;
+}
+
+/**
+ * Presets from a stored or exported library: { version, presets: [...] },
+ * or a bare array
+ */
+function parsePresetLibrary(data) {
+    const list = Array.isArray(data) ? data : data?.presets;
+    if (!Array.isArray(list)) throw new Error('No presets found in this file');
+    return list.map(normalizePreset).filter(Boolean);
+}
+
+function loadCustomPresets() {
+    try {
+        const saved = localStorage.getItem(PRESET_STORAGE_KEY);
+        return saved ? parsePresetLibrary(JSON.parse(saved)) : [];
+    } catch (err) {
+        console.warn('Saved presets could not be read:', err);
+        return [];
+    }
+}
+
+function saveCustomPresets() {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(serializePresets()));
+    } catch (err) {
+        showToast('Presets could not be saved in this browser', 'error');
+    }
+}
+
+function serializePresets() {
+    return { version: PRESET_FILE_VERSION, presets: state.customPresets };
+}
+
+function exportPresets() {
+    if (!state.customPresets.length) {
+        showToast('No custom presets to export yet', 'info');
+        return;
+    }
+    const blob = new Blob([JSON.stringify(serializePresets(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    triggerDownload(url, 'smart-resize-presets.json');
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * Merge an exported library into ours. A preset with the same name as an
+ * existing one replaces it in place; the rest are appended.
+ */
+async function importPresets(file) {
+    let imported;
+    try {
+        imported = parsePresetLibrary(JSON.parse(await file.text()));
+    } catch (err) {
+        showToast(`Could not import presets: ${err instanceof SyntaxError ? 'not a valid JSON file' : err.message}`, 'error');
+        return;
+    }
+    if (!imported.length) {
+        showToast('No usable presets found in this file', 'error');
+        return;
+    }
+
+    imported.forEach(preset => {
+        const index = state.customPresets.findIndex(p => p.name.toLowerCase() === preset.name.toLowerCase());
+        if (index >= 0) {
+            state.customPresets[index] = { ...preset, id: state.customPresets[index].id };
+        } else {
+            if ([...BUILT_IN_PRESETS, ...state.customPresets].some(p => p.id === preset.id)) preset.id = createId('custom');
+            state.customPresets.push(preset);
+        }
+    });
+
+    presetsChanged();
+    showToast(`Imported ${imported.length} preset${imported.length === 1 ? '' : 's'}`, 'success');
+}
+
+// =====================================================
+// MULTI-SIZE EXPORT
+// =====================================================
+function initRenditionSizes() {
+    syncPresetRenditionSizes();
+
+    dom.addCustomSizeBtn.addEventListener('click', () => {
+        const width = parseInt(dom.customSizeW.value);
+        const height = parseInt(dom.customSizeH.value);
+        const error = validateDimensions(width, height);
+        if (error) {
+            showToast(error, 'error');
+            return;
+        }
+        state.renditionSizes.push({ label: `${width}×${height}`, width, height, checked: true, custom: true });
+        dom.customSizeW.value = '';
+        dom.customSizeH.value = '';
+        renderRenditionSizes();
+    });
+}
+
+/**
+ * Offer every built-in and saved preset as a rendition size, keeping
+ * ticks and the sizes added by hand
+ */
+function syncPresetRenditionSizes() {
+    const checked = new Set(state.renditionSizes.filter(s => s.checked).map(s => s.presetId));
+    const presetSizes = [...BUILT_IN_PRESETS, ...state.customPresets].map(preset => ({
+        label: preset.name,
+        width: preset.width,
+        height: preset.height,
+        checked: checked.has(preset.id),
+        custom: false,
+        presetId: preset.id,
+    }));
+    state.renditionSizes = [...presetSizes, ...state.renditionSizes.filter(s => s.custom)];
+    renderRenditionSizes();
+}
+
+function renderRenditionSizes() {
+    const list = dom.renditionSizeList;
+    list.innerHTML = '';
+
+    state.renditionSizes.forEach((size, index) => {
+        const row = document.createElement('label');
+        row.className = 'rendition-size';
+        row.innerHTML = `
+            <input type="checkbox" class="accent-primary-600" ${size.checked ? 'checked' : ''}>
+            <span class="flex-1 truncate-text">${escapeHtml(size.label)}</span>
+            <span class="preset-size">${size.width}×${size.height}</span>
+            ${size.custom ? '<button class="rendition-size-remove" title="Remove" aria-label="Remove size">&times;</button>' : ''}
+        `;
+
+        row.querySelector('input').addEventListener('change', (e) => {
+            size.checked = e.target.checked;
+        });
+
+        row.querySelector('.rendition-size-remove')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            state.renditionSizes.splice(index, 1);
+            renderRenditionSizes();
+        });
+
+        list.appendChild(row);
+    });
+}
+
+/**
+ * Sizes to produce for an item: the ticked multi-size list, or else the
+ * item's own dimensions
+ */
+function getOutputSizes(item) {
+    const checked = state.renditionSizes.filter(s => s.checked);
+    if (checked.length) {
+        return checked.map(({ label, width, height }) => ({ label, width, height }));
+    }
+    const { width, height, preset } = item.settings;
+    return [{ label: preset?.name || null, width, height }];
+}
+
+// =====================================================
+// RESPONSIVE IMAGE SET
+// =====================================================
+function initResponsiveSet() {
+    // One checkbox per output format the app offers
+    dom.formatBtns.forEach(btn => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-1.5 text-xs font-medium cursor-pointer';
+        label.innerHTML = `
+            <input type="checkbox" class="accent-primary-600" value="${btn.dataset.format}"
+                ${state.responsiveFormats.includes(btn.dataset.format) ? 'checked' : ''}>
+            ${btn.textContent.trim()}
+        `;
+        label.querySelector('input').addEventListener('change', () => {
+            state.responsiveFormats = [...dom.responsiveFormats.querySelectorAll('input:checked')].map(i => i.value);
+        });
+        dom.responsiveFormats.appendChild(label);
+    });
+
+    dom.generateSetBtn.addEventListener('click', generateResponsiveSets);
+
+    dom.copySnippetBtn.addEventListener('click', async () => {
+        try {
+            await navigator.clipboard.writeText(dom.snippetOutput.value);
+            showToast('Snippet copied to clipboard', 'success');
+        } catch {
+            dom.snippetOutput.select();
+            showToast('Press Ctrl+C to copy the snippet', 'info');
+        }
+    });
+}
+
+function parseBreakpoints(text) {
+    const widths = text.split(/[\s,]+/).map(v => parseInt(v)).filter(w => w > 0 && w <= 10000);
+    return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+/**
+ * Width-based sizes for every breakpoint × format. Breakpoints wider than
+ * the source are skipped; the source's own width stands in for them.
+ */
+function getResponsiveSizes(item, breakpoints, formats) {
+    const region = getSourceRegion(item);
+    const widths = breakpoints.filter(w => w <= region.w);
+    if (widths.length < breakpoints.length && !widths.includes(region.w)) widths.push(region.w);
+
+    // Animations collapse onto the formats that can carry them
+    const outputFormats = item.animation ? [...new Set(formats.map(getAnimatedFormat))] : formats;
+
+    return outputFormats.flatMap(format => {
+        const ext = getFormatExtension(format);
+        return widths.map(width => ({
+            label: `${width}w ${ext.toUpperCase()}`,
+            width,
+            height: Math.max(1, Math.round(width * region.h / region.w)),
+            format,
+        }));
+    });
+}
+
+/**
+ * Build responsive renditions and a <picture> snippet for every file
+ */
+async function generateResponsiveSets() {
+    const breakpoints = parseBreakpoints(dom.breakpointsInput.value);
+    const formats = state.responsiveFormats;
+    if (!breakpoints.length) {
+        showToast('Enter at least one breakpoint width', 'error');
+        return;
+    }
+    if (!formats.length) {
+        showToast('Choose at least one format', 'error');
+        return;
+    }
+
+    const sizesAttr = dom.sizesAttrInput.value.trim() || '100vw';
+    await runBatch({
+        title: 'Generating responsive images',
+        getSizes: (item) => getResponsiveSizes(item, breakpoints, formats),
+        onItemDone: (item) => {
+            item.snippet = buildPictureSnippet(item, sizesAttr);
+        },
+        successMessage: () => 'Responsive image set ready!',
+    }, state.files);
+}
+
+/**
+ * <picture> markup for an item's renditions using their download filenames.
+ * Modern formats become <source>s; JPEG/PNG/GIF (if present) is the <img> fallback.
+ */
+function buildPictureSnippet(item, sizesAttr) {
+    const byFormat = new Map();
+    item.renditions.forEach(r => {
+        if (!byFormat.has(r.format)) byFormat.set(r.format, []);
+        byFormat.get(r.format).push(r);
+    });
+
+    const formats = [...byFormat.keys()];
+    const fallbackFormat = formats.find(f => f === 'image/jpeg' || f === 'image/png' || f === 'image/gif') ||
+        formats[formats.length - 1];
+    const sourceOrder = ['image/avif', 'image/webp'];
+    const sourceFormats = formats
+        .filter(f => f !== fallbackFormat)
+        .sort((a, b) => (sourceOrder.indexOf(a) + 1 || 99) - (sourceOrder.indexOf(b) + 1 || 99));
+
+    const srcset = (list) => list.map(r => `${encodeURI(getOutputFilename(item, r))} ${r.width}w`).join(', ');
+    const fallback = byFormat.get(fallbackFormat);
+    const largest = fallback[fallback.length - 1];
+    const alt = escapeHtml(item.file.name.replace(/\.[^.]+$/, ''));
+
+    const img = `<img src="${encodeURI(getOutputFilename(item, largest))}"\n` +
+        `     srcset="${srcset(fallback)}"\n` +
+        `     sizes="${escapeHtml(sizesAttr)}"\n` +
+        `     width="${largest.width}" height="${largest.height}"\n` +
+        `     alt="${alt}" loading="lazy" decoding="async">`;
+
+    if (!sourceFormats.length) return img;
+
+    const sources = sourceFormats.map(format =>
+        `  <source type="${format}"\n` +
+        `          srcset="${srcset(byFormat.get(format))}"\n` +
+        `          sizes="${escapeHtml(sizesAttr)}">`
+    );
+
+    return ['<picture>', ...sources, '  ' + img.replace(/\n/g, '\n  '), '</picture>'].join('\n');
+}
+
+// =====================================================
+// ICON PACK (favicon.ico, apple-touch-icon, PWA icons)
+// =====================================================
+const FAVICON_SIZES = [16, 32, 48];
+const APPLE_TOUCH_SIZE = 180;
+const PWA_ICON_SIZES = [192, 512];
+const MASKABLE_SAFE_ZONE = 0.8; // Content diameter that survives any mask
+
+function initIconPack() {
+    dom.generateIconsBtn.addEventListener('click', generateIconPack);
+}
+
+/**
+ * Build a complete icon set from the selected image, plus the matching
+ * manifest.json "icons" block
+ */
+async function generateIconPack() {
+    const item = state.files[state.activeIndex];
+    if (!item) return;
+
+    const padding = dom.iconPadding.checked;
+    const background = dom.iconBackground.value;
+
+    showProcessing('Generating icon pack...');
+
+    // Non-square sources are center-cropped unless the fit mode is 'contain'
+    const job = {
+        ...buildRenderJob(item, []),
+        fitMode: state.fitMode === 'contain' ? 'contain' : 'cover',
+        watermark: null,                 // Icons are too small to carry one
+    };
+    let source = null;
+
+    try {
+        source = await decodeSource(item.source);
+        const renditions = [];
+
+        // Multi-resolution favicon.ico
+        const faviconCanvases = [];
+        for (const size of FAVICON_SIZES) {
+            faviconCanvases.push(await renderIcon(source, job, size));
+        }
+        const ico = await canvasesToIco(faviconCanvases);
+        faviconCanvases.forEach(c => { c.width = 0; c.height = 0; });
+        renditions.push(createIconRendition('favicon.ico', ico, 48, 'image/x-icon', 'ico', `Favicon (${FAVICON_SIZES.join('/')})`));
+        updateProcessingBar(25);
+
+        // iOS fills transparency with black, so the touch icon is always opaque
+        const apple = await renderIcon(source, job, APPLE_TOUCH_SIZE, { background });
+        renditions.push(createIconRendition('apple-touch-icon.png', await canvasToBlob(apple, 'image/png'), APPLE_TOUCH_SIZE, 'image/png', 'png', 'Apple Touch Icon'));
+        apple.width = 0;
+        apple.height = 0;
+        updateProcessingBar(50);
+
+        // Full-bleed PWA icons, optionally shrunk into the maskable safe zone
+        const manifestIcons = [];
+        for (const size of PWA_ICON_SIZES) {
+            const canvas = await renderIcon(source, job, size, { background, padding });
+            const filename = `icon-${size}${padding ? '-maskable' : ''}.png`;
+            renditions.push(createIconRendition(filename, await canvasToBlob(canvas, 'image/png'), size, 'image/png', 'png', `PWA Icon ${size}`));
+            manifestIcons.push({ src: filename, sizes: `${size}x${size}`, type: 'image/png', purpose: padding ? 'maskable' : 'any' });
+            canvas.width = 0;
+            canvas.height = 0;
+            updateProcessingBar(50 + (manifestIcons.length / PWA_ICON_SIZES.length) * 50);
+        }
+
+        recordHistory('Generate icon pack');
+        clearRenditions(item);
+        item.renditions = renditions;
+        item.snippet = JSON.stringify({ icons: manifestIcons }, null, 4);
+
+        await delay(200);
+        hideProcessing();
+
+        if (state.isCropping) setCropMode(false);
+        showPreviewImage(getActiveRendition(item).url);
+        showResults(item);
+        renderFileList();
+        dom.compareToggle.classList.remove('hidden');
+        showToast('Icon pack ready!', 'success');
+    } catch (err) {
+        hideProcessing();
+        showToast(`Error generating icons: ${err.message}`, 'error');
+        console.error(err);
+    } finally {
+        if (source?.close) source.close();
+    }
+}
+
+/**
+ * Render a square icon from a decoded source and render job. With padding
+ * the artwork is shrunk into the maskable safe zone over the background
+ * color.
+ */
+async function renderIcon(source, job, size, { background = null, padding = false } = {}) {
+    const inner = padding ? Math.round(size * MASKABLE_SAFE_ZONE) : size;
+    const art = await renderResized(source, job, inner, inner, 'image/png');
+    if (!background && inner === size) return art;
+
+    const canvas = createCanvas(size, size);
+    const ctx = canvas.getContext('2d');
+    if (background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, size, size);
+    }
+    const offset = Math.floor((size - inner) / 2);
+    ctx.drawImage(art, offset, offset);
+    art.width = 0;
+    art.height = 0;
+    return canvas;
+}
+
+function createIconRendition(filename, blob, size, format, ext, label) {
+    return {
+        label,
+        filename,
+        blob,
+        url: URL.createObjectURL(blob),
+        width: size,
+        height: size,
+        format,
+        ext,
+        quality: null,
+        targetSize: null,
+        targetMet: null,
+    };
+}
 
-    // Reset
-    resetBtn.addEventListener('click', () => {
-        const item = state.files[state.activeIndex];
-        if (item) {
-            if (item.resizedUrl) URL.revokeObjectURL(item.resizedUrl);
-            item.resizedBlob = null;
-            item.resizedUrl = null;
-            selectFile(state.activeIndex);
-            renderFileList();
-            dom.resultsSection.classList.add('hidden');
-            dom.compareToggle.classList.add('hidden');
-            dom.comparisonContainer.classList.add('hidden');
-            state.isComparing = false;
-            showToast('Image reset to original', 'info');
-        }
+// =====================================================
+// METADATA PANEL
+// =====================================================
+function initMetadataPanel() {
+    dom.metadataBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            dom.metadataBtns.forEach(b => b.classList.remove('active'));
+            btn.classList.add('active');
+            state.metadataMode = btn.dataset.metadata;
+            renderMetadataList(state.files[state.activeIndex]);
+        });
     });
 }
 
-function updateScalePercent() {
-    const w = parseInt(dom.widthInput.value);
-    if (!isNaN(w) && state.originalWidth > 0) {
-        const percent = Math.round((w / state.originalWidth) * 100);
-        dom.scalePercent.textContent = `${percent}%`;
+/**
+ * List the selected file's metadata, striking through fields the current
+ * mode will drop
+ */
+function renderMetadataList(item) {
+    const rows = item?.metadata ? describeMetadata(item.metadata) : [];
+    if (!rows.length) {
+        dom.metadataList.innerHTML = '<p class="text-xs text-gray-400">No metadata found in this file.</p>';
+        return;
     }
+
+    const dropped = (row) => state.metadataMode === 'strip' || (row.gps && state.metadataMode === 'keep-no-gps');
+    dom.metadataList.innerHTML = rows.map(row => `
+        <div class="metadata-row ${dropped(row) ? 'dropped' : ''}">
+            <dt>${escapeHtml(row.group)} · ${escapeHtml(row.label)}</dt>
+            <dd>${escapeHtml(row.value)}</dd>
+        </div>
+    `).join('');
 }
 
 // =====================================================
-// PRESET BUTTONS
+// FORMAT BUTTONS
 // =====================================================
-function initPresetButtons() {
-    const presetBtns = $$('.preset-btn');
-    presetBtns.forEach(btn => {
+function initFormatButtons() {
+    dom.formatBtns.forEach(btn => {
         btn.addEventListener('click', () => {
-            // Remove active class from all
-            presetBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
+            recordHistory('Change format');
+            setOutputFormat(btn.dataset.format);
+            saveActiveSettings();
+        });
+    });
+
+    detectEncodableFormats().then(applyFormatSupport);
+}
+
+function setOutputFormat(format) {
+    state.outputFormat = format;
+    state.outputExt = getFormatExtension(format);
+    dom.formatBtns.forEach(b => b.classList.toggle('active', b.dataset.format === format));
+    updatePadOptions();
+}
+
+/**
+ * Probe which formats canvas.toBlob really encodes. Browsers silently
+ * fall back to PNG for types they can't produce.
+ */
+async function detectEncodableFormats() {
+    const canvas = document.createElement('canvas');
+    canvas.width = 1;
+    canvas.height = 1;
+
+    const formats = await Promise.all([...dom.formatBtns].map(btn => new Promise((resolve) => {
+        const format = btn.dataset.format;
+        canvas.toBlob((blob) => resolve(blob?.type === format ? format : null), format);
+    })));
+
+    return new Set(formats.filter(Boolean));
+}
+
+/**
+ * Disable format choices this browser can't encode
+ */
+function applyFormatSupport(supported) {
+    state.encodableFormats = supported;
+
+    dom.formatBtns.forEach(btn => {
+        const ok = supported.has(btn.dataset.format);
+        btn.disabled = !ok;
+        btn.title = ok ? '' : `${btn.textContent.trim()} encoding is not supported in this browser`;
+    });
+
+    dom.responsiveFormats.querySelectorAll('input').forEach(input => {
+        if (supported.has(input.value)) return;
+        input.checked = false;
+        input.disabled = true;
+        input.closest('label').classList.add('opacity-50');
+        input.closest('label').title = 'Not supported in this browser';
+    });
+    state.responsiveFormats = state.responsiveFormats.filter(f => supported.has(f));
+}
+
+/**
+ * Explain how an animated file will be written (see getAnimatedFormat)
+ */
+function renderAnimationNote(item) {
+    const animation = item?.animation;
+    dom.animationNote.classList.toggle('hidden', !animation);
+    if (!animation) return;
+
+    const kind = animation.type === 'image/gif' ? 'GIF' : 'WebP';
+    const loops = animation.repeat === Infinity ? 'loops forever'
+        : animation.repeat === 0 ? 'plays once'
+        : `plays ${animation.repeat + 1} times`;
+    dom.animationNote.textContent = `Animated ${kind} · ${animation.frameCount} frames, ${loops}. ` +
+        'All frames are kept: WebP output stays animated WebP, other formats are saved as animated GIF. ' +
+        'Target file size does not apply.';
+}
+
+// =====================================================
+// QUALITY SLIDER
+// =====================================================
+function initQualitySlider() {
+    dom.qualitySlider.addEventListener('input', () => {
+        recordHistory('Change quality');
+        setQuality(parseInt(dom.qualitySlider.value) / 100);
+        saveActiveSettings();
+    });
+
+    // Target size in KB; empty disables target-size mode
+    dom.targetSizeInput.addEventListener('input', () => {
+        const kb = parseFloat(dom.targetSizeInput.value);
+        state.targetSize = kb > 0 ? Math.round(kb * 1024) : null;
+    });
+
+    dom.targetDownscale.addEventListener('change', () => {
+        state.targetAllowDownscale = dom.targetDownscale.checked;
+    });
+}
+
+function setQuality(quality) {
+    state.quality = quality;
+    const pct = Math.round(quality * 100);
+    dom.qualitySlider.value = pct;
+    dom.qualityValue.textContent = `${pct}%`;
+}
+
+// =====================================================
+// WORKER POOL (off-main-thread rendering)
+// =====================================================
+// Render jobs (see resize-core.js) run in a pool of resize-worker.js
+// workers. Without Worker/OffscreenCanvas support, or once a worker fails
+// to start, jobs run one at a time on the main thread instead.
+
+// Each busy worker holds a fully decoded image, so the pool is capped
+// below hardwareConcurrency on many-core machines to bound memory
+const MAX_WORKERS = 4;
+
+const workerPool = {
+    enabled: supportsWorkerRendering(),
+    size: Math.max(1, Math.min(MAX_WORKERS, navigator.hardwareConcurrency || 2)),
+    workers: [],                 // { worker, task } – task is null while idle
+    queue: [],                   // Tasks waiting for a free worker
+    mainThreadBusy: false,
+    nextId: 1,
+};
+
+function supportsWorkerRendering() {
+    return typeof Worker !== 'undefined'
+        && typeof OffscreenCanvas !== 'undefined'
+        && 'convertToBlob' in OffscreenCanvas.prototype
+        && typeof createImageBitmap === 'function';
+}
+
+/**
+ * Queue a render job for an upright source blob. Resolves with the job's
+ * results. Options:
+ *   onStart()               – the job left the queue and began rendering
+ *   onProgress(done, total) – a size finished
+ *   signal                  – AbortSignal; aborting drops a queued job and
+ *                             stops a running one
+ */
+function runRenderJob(source, job, { onStart, onProgress, signal } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(signal.reason);
+            return;
+        }
+
+        const task = { id: workerPool.nextId++, source, job, onStart, onProgress, settled: false };
+        task.resolve = (results) => settleTask(task, () => resolve(results));
+        task.reject = (err) => settleTask(task, () => reject(err));
+
+        if (signal) {
+            task.signal = signal;
+            task.onAbort = () => abortTask(task);
+            signal.addEventListener('abort', task.onAbort, { once: true });
+        }
+
+        workerPool.queue.push(task);
+        pumpWorkerPool();
+    });
+}
+
+function settleTask(task, settle) {
+    if (task.settled) return;
+    task.settled = true;
+    if (task.signal) task.signal.removeEventListener('abort', task.onAbort);
+    settle();
+}
+
+/**
+ * Cancel a task: drop it from the queue, or terminate the worker running
+ * it. A main-thread render can't be interrupted; its result is discarded.
+ */
+function abortTask(task) {
+    const queued = workerPool.queue.indexOf(task);
+    if (queued !== -1) workerPool.queue.splice(queued, 1);
+
+    const slot = workerPool.workers.find(w => w.task === task);
+    if (slot) {
+        slot.worker.terminate();
+        workerPool.workers.splice(workerPool.workers.indexOf(slot), 1);
+    }
+
+    task.reject(task.signal.reason);
+
+    // Wait until every task sharing this signal has been dropped
+    queueMicrotask(pumpWorkerPool);
+}
+
+/**
+ * Hand queued tasks to idle workers, starting workers up to the pool size
+ */
+function pumpWorkerPool() {
+    if (!workerPool.enabled) {
+        runNextOnMainThread();
+        return;
+    }
+
+    while (workerPool.queue.length) {
+        let slot = workerPool.workers.find(w => !w.task);
+        if (!slot && workerPool.workers.length < workerPool.size) slot = spawnWorker();
+        if (!slot) return;
+
+        const task = workerPool.queue.shift();
+        slot.task = task;
+        slot.worker.postMessage({ id: task.id, source: task.source, job: task.job });
+        if (task.onStart) task.onStart();
+    }
+}
+
+function spawnWorker() {
+    const slot = { worker: new Worker('resize-worker.js'), task: null };
+
+    slot.worker.addEventListener('message', ({ data }) => {
+        const { task } = slot;
+        if (!task || data.id !== task.id) return;
+
+        if (data.type === 'progress') {
+            if (task.onProgress) task.onProgress(data.done, data.total);
+            return;
+        }
+
+        slot.task = null;
+        if (data.type === 'done') task.resolve(data.results);
+        else task.reject(new Error(data.message));
+        pumpWorkerPool();
+    });
+
+    // Uncaught worker errors mean it couldn't load its scripts (e.g. Pica
+    // offline and not yet cached) or crashed – stop using workers
+    slot.worker.addEventListener('error', (event) => {
+        event.preventDefault();
+        console.warn('Resize worker failed, falling back to the main thread:', event.message);
+        disableWorkerPool();
+    });
+
+    workerPool.workers.push(slot);
+    return slot;
+}
+
+/**
+ * Terminate all workers and re-queue their tasks for the main thread
+ */
+function disableWorkerPool() {
+    if (!workerPool.enabled) return;
+    workerPool.enabled = false;
+
+    const inFlight = workerPool.workers.filter(w => w.task).map(w => w.task);
+    workerPool.workers.forEach(w => w.worker.terminate());
+    workerPool.workers = [];
+    workerPool.queue.unshift(...inFlight);
+    pumpWorkerPool();
+}
+
+function runNextOnMainThread() {
+    if (workerPool.mainThreadBusy || !workerPool.queue.length) return;
+
+    const task = workerPool.queue.shift();
+    workerPool.mainThreadBusy = true;
+    if (task.onStart) task.onStart();
+    renderJob(task.source, task.job, task.onProgress)
+        .then(task.resolve, task.reject)
+        .finally(() => {
+            workerPool.mainThreadBusy = false;
+            runNextOnMainThread();
+        });
+}
+
+// =====================================================
+// IMAGE RESIZING (using Pica.js for quality)
+// =====================================================
+
+/**
+ * Resize the currently selected image
+ */
+async function resizeCurrent() {
+    const item = state.files[state.activeIndex];
+    if (!item) return;
+
+    const sizes = getOutputSizes(item);
+    const error = sizes.map(s => validateDimensions(s.width, s.height)).find(Boolean);
+    if (error) {
+        showToast(error, 'error');
+        return;
+    }
+
+    showProcessing(sizes.length > 1 ? `Creating ${sizes.length} sizes...` : 'Resizing image with high quality...');
+    updateProcessingBar(30);
+    const step = recordHistory('Resize');
+
+    try {
+        await resizeImage(item, sizes, {
+            onProgress: (done) => updateProcessingBar(30 + (done / sizes.length) * 70),
+        });
+        setItemStatus(item, 'done');
+        updateProcessingBar(100);
+        await delay(200);
+        hideProcessing();
+
+        // Update preview and results
+        if (state.isCropping) setCropMode(false);
+        showPreviewImage(getActiveRendition(item).url);
+        showResults(item);
+        renderFileList();
+
+        // Show compare button
+        dom.compareToggle.classList.remove('hidden');
+
+        showToast(sizes.length > 1 ? `${sizes.length} sizes created!` : 'Image resized successfully!', 'success');
+    } catch (err) {
+        dropHistoryStep(step);
+        hideProcessing();
+        showToast('Error resizing image: ' + err.message, 'error');
+        console.error(err);
+    }
+}
+
+/**
+ * Resize all images in the batch
+ */
+async function resizeAll() {
+    for (const item of state.files) {
+        const error = getOutputSizes(item).map(s => validateDimensions(s.width, s.height)).find(Boolean);
+        if (error) {
+            showToast(`${item.file.name}: ${error}`, 'error');
+            return;
+        }
+    }
+
+    await runBatch({
+        title: 'Batch resizing',
+        getSizes: getOutputSizes,
+        successMessage: (count) => `All ${count} images resized!`,
+    }, state.files);
+}
+
+/**
+ * Returns an error message for unusable target dimensions, or null
+ */
+function validateDimensions(w, h) {
+    if (!w || !h || w < 1 || h < 1) return 'Please enter valid dimensions';
+    if (w > 10000 || h > 10000) return 'Maximum dimension is 10,000px';
+    return null;
+}
+
+/**
+ * Core resize logic: renders in the worker pool (Pica.js, see
+ * resize-core.js) and produces one rendition per entry in sizes
+ * ([{ label, width, height }]), replacing the item's previous renditions.
+ * Options are passed through to runRenderJob().
+ */
+async function resizeImage(item, sizes, options = {}) {
+    const targetSize = item.animation ? null : state.targetSize;
+    const job = buildRenderJob(item, sizes);
+    const results = await runRenderJob(item.source, job, options);
+
+    const renditions = [];
+    for (let i = 0; i < sizes.length; i++) {
+        renditions.push(await createRendition(item, sizes[i], job.sizes[i], results[i], targetSize));
+    }
+
+    // Revoke old URLs if they exist
+    clearRenditions(item);
+    item.renditions = renditions;
+    item.snippet = null;
+    item.activeRendition = 0;
+
+    return item;
+}
+
+/**
+ * Describe how to render an item at the given sizes, as a render job for
+ * resize-core.js. A size may override the file's format. Animated items
+ * render every frame (see animation.js) and skip target-size mode.
+ */
+function buildRenderJob(item, sizes) {
+    return {
+        transform: isIdentityTransform(item.transform) ? null : item.transform,
+        adjustments: isIdentityAdjustments(item.adjustments) ? null : item.adjustments,
+        region: getSourceRegion(item),
+        fitMode: state.fitMode,
+        padColor: state.padColor,
+        padTransparent: state.padTransparent,
+        allowDownscale: state.targetAllowDownscale,
+        resample: state.resample,
+        watermark: getActiveWatermark(),
+        animation: item.animation ? { type: item.animation.type } : null,
+        sizes: sizes.map(size => {
+            const requested = size.format || item.settings.format;
+            const format = item.animation ? getAnimatedFormat(requested) : requested;
+            return {
+                width: size.width,
+                height: size.height,
+                format,
+                quality: item.settings.quality,
+                // Leave room in the budget for the metadata written back afterwards
+                maxBytes: state.targetSize && !item.animation
+                    ? Math.max(1, state.targetSize - metadataOverhead(item.metadata, format))
+                    : null,
+            };
+        }),
+    };
+}
+
+/**
+ * Output format for an animation: WebP stays animated WebP, every other
+ * choice becomes an animated GIF
+ */
+function getAnimatedFormat(format) {
+    return format === 'image/webp' ? 'image/webp' : 'image/gif';
+}
+
+/**
+ * Turn a rendered blob into a rendition. The rendition records the
+ * settings actually used to produce its blob.
+ */
+async function createRendition(item, size, spec, result, targetSize) {
+    const { format } = spec;
+
+    // Canvas encoding drops all metadata; restore what the user chose to keep
+    const blob = await embedMetadata(result.blob, item.metadata, format, result.width, result.height);
+
+    return {
+        label: size.label,
+        blob,
+        url: URL.createObjectURL(blob),
+        width: result.width,
+        height: result.height,
+        format,
+        ext: getFormatExtension(format),
+        quality: isLossyFormat(format) ? result.quality : null,
+        targetSize,
+        targetMet: targetSize ? blob.size <= targetSize : null,
+    };
+}
+
+function getActiveRendition(item) {
+    return item?.renditions[item.activeRendition] || null;
+}
+
+/**
+ * Drop an item's renditions and free their object URLs
+ */
+function clearRenditions(item) {
+    item.renditions.forEach(r => URL.revokeObjectURL(r.url));
+    item.renditions = [];
+    item.activeRendition = 0;
+    item.snippet = null;
+}
+
+/**
+ * Pack canvases into a multi-resolution .ico file. Each image is stored as
+ * PNG, which every ICO reader since Windows Vista (and all browsers) accepts.
+ */
+async function canvasesToIco(canvases) {
+    const images = [];
+    for (const canvas of canvases) {
+        const png = await canvasToBlob(canvas, 'image/png');
+        images.push({ width: canvas.width, height: canvas.height, data: png });
+    }
+
+    // ICONDIR header followed by one 16-byte ICONDIRENTRY per image
+    const header = new DataView(new ArrayBuffer(6 + images.length * 16));
+    header.setUint16(0, 0, true);               // Reserved
+    header.setUint16(2, 1, true);               // Type: icon
+    header.setUint16(4, images.length, true);
+
+    let offset = header.byteLength;
+    images.forEach((image, i) => {
+        const entry = 6 + i * 16;
+        header.setUint8(entry, image.width >= 256 ? 0 : image.width);   // 0 means 256
+        header.setUint8(entry + 1, image.height >= 256 ? 0 : image.height);
+        header.setUint8(entry + 2, 0);          // No palette
+        header.setUint8(entry + 3, 0);          // Reserved
+        header.setUint16(entry + 4, 1, true);   // Color planes
+        header.setUint16(entry + 6, 32, true);  // Bits per pixel
+        header.setUint32(entry + 8, image.data.size, true);
+        header.setUint32(entry + 12, offset, true);
+        offset += image.data.size;
+    });
+
+    return new Blob([header, ...images.map(i => i.data)], { type: 'image/x-icon' });
+}
+
+// =====================================================
+// BATCH JOBS
+// =====================================================
+// A batch job resizes many files through the worker pool. Each file tracks
+// its own status (queued → processing → done | failed, or cancelled when
+// the run is stopped), so one bad file doesn't abort the rest and a
+// cancelled or partly failed run can be resumed.
+//
+// Job: { title, getSizes(item), onItemDone?(item), successMessage(count) }
+
+function initBatchControls() {
+    dom.cancelBatchBtn.addEventListener('click', cancelBatch);
+    dom.retryFailedBtn.addEventListener('click', () => rerunBatch('failed'));
+    dom.resumeBatchBtn.addEventListener('click', () => rerunBatch('cancelled'));
+}
+
+/**
+ * Run a batch job over items. Files that finish keep their results even if
+ * others fail or the run is cancelled. Resolves with { done, failed, cancelled }.
+ */
+async function runBatch(job, items) {
+    recordHistory(job.title);
+    const controller = new AbortController();
+    state.batch = { job, controller, running: true };
+
+    items.forEach(item => setItemStatus(item, 'queued'));
+
+    const progress = items.map(() => 0);   // Fraction of each item's sizes done
+    const summary = { done: 0, failed: 0, cancelled: 0 };
+
+    const update = () => {
+        const total = progress.reduce((sum, p) => sum + p, 0);
+        const failed = summary.failed ? ` · ${summary.failed} failed` : '';
+        dom.processingText.textContent = `${job.title}: ${summary.done} of ${items.length} done${failed}`;
+        updateProcessingBar((total / items.length) * 100);
+    };
+
+    showProcessing(job.title);
+    dom.cancelBatchBtn.classList.remove('hidden');
+    update();
+
+    await Promise.all(items.map(async (item, i) => {
+        try {
+            await resizeImage(item, job.getSizes(item), {
+                signal: controller.signal,
+                onStart: () => setItemStatus(item, 'processing'),
+                onProgress: (done, count) => {
+                    progress[i] = done / count;
+                    update();
+                },
+            });
+            if (job.onItemDone) job.onItemDone(item);
+            setItemStatus(item, 'done');
+            summary.done++;
+        } catch (err) {
+            if (controller.signal.aborted) {
+                setItemStatus(item, 'cancelled');
+                summary.cancelled++;
+            } else {
+                setItemStatus(item, 'failed', err.message);
+                summary.failed++;
+                console.error(`${item.file.name}:`, err);
+            }
+        }
+        progress[i] = 1;
+        update();
+        scheduleSessionSave();
+    }));
+
+    state.batch.running = false;
+    await delay(200);
+    hideProcessing();
+
+    if (state.isCropping) setCropMode(false);
+    selectFile(state.activeIndex);
+    renderFileList();
+    if (summary.done) dom.compareToggle.classList.remove('hidden');
+
+    if (!summary.failed && !summary.cancelled) {
+        showToast(job.successMessage(summary.done), 'success');
+    } else {
+        showToast(formatBatchSummary(summary), summary.failed ? 'error' : 'info');
+    }
+
+    const missed = items.filter(f => f.renditions.some(r => r.targetMet === false)).length;
+    if (missed) {
+        showToast(`${missed} image${missed > 1 ? 's' : ''} could not reach ${formatBytes(state.targetSize)}`, 'error');
+    }
+
+    return summary;
+}
+
+function cancelBatch() {
+    if (!state.batch?.running) return;
+    state.batch.controller.abort();
+    dom.processingText.textContent = 'Cancelling...';
+}
 
-            const w = parseInt(btn.dataset.w);
-            const h = parseInt(btn.dataset.h);
+/**
+ * Run the last batch job again for files with the given status
+ */
+function rerunBatch(status) {
+    if (!state.batch || state.batch.running) return;
+    const items = state.files.filter(item => item.status === status);
+    if (items.length) runBatch(state.batch.job, items);
+}
+
+/**
+ * Set a file's batch status and update its row in place, so a running
+ * batch doesn't rebuild the whole list for every file
+ */
+function setItemStatus(item, status, error = null) {
+    item.status = status;
+    item.error = error;
+    const row = dom.fileList.querySelector(`.file-item[data-id="${item.id}"]`);
+    if (row) renderFileStatus(row, item);
+}
+
+/**
+ * Summary of the last batch run, with failed files and their errors
+ */
+function renderBatchReport() {
+    const { batchReport, batchSummary, batchErrors, retryFailedBtn, resumeBatchBtn } = dom;
+    if (!state.batch || state.batch.running) {
+        batchReport.classList.add('hidden');
+        return;
+    }
+
+    const count = (status) => state.files.filter(item => item.status === status).length;
+    const summary = { done: count('done'), failed: count('failed'), cancelled: count('cancelled') };
+
+    batchReport.classList.toggle('hidden', !summary.failed && !summary.cancelled);
+    batchSummary.textContent = formatBatchSummary(summary);
+    retryFailedBtn.classList.toggle('hidden', !summary.failed);
+    resumeBatchBtn.classList.toggle('hidden', !summary.cancelled);
+
+    batchErrors.innerHTML = state.files
+        .filter(item => item.status === 'failed')
+        .map(item => `<li><strong>${escapeHtml(item.file.name)}</strong>: ${escapeHtml(item.error || 'Unknown error')}</li>`)
+        .join('');
+}
 
-            if (btn.dataset.name === 'Custom') {
-                // Focus width input for custom
-                dom.widthInput.focus();
-                dom.widthInput.select();
-                return;
-            }
+function formatBatchSummary({ done, failed, cancelled }) {
+    const parts = [`${done} done`];
+    if (failed) parts.push(`${failed} failed`);
+    if (cancelled) parts.push(`${cancelled} cancelled`);
+    return parts.join(' · ');
+}
 
-            // Temporarily unlock aspect ratio for preset
-            const wasLocked = state.aspectLocked;
-            state.aspectLocked = false;
+// =====================================================
+// SESSION PERSISTENCE (IndexedDB)
+// =====================================================
+// The batch is mirrored to IndexedDB so a reload, a discarded tab or a
+// service-worker update doesn't lose it. Blobs (originals, upright sources,
+// renditions) are immutable, so each is written once under its own key in
+// "blobs"; "files" holds one small record per item that refers to them by
+// key, and "meta" holds the file order and selection. Every save rewrites
+// the records and deletes blobs no record refers to any more.
+// Session-wide controls (fit mode, watermark, resampling) aren't saved.
+
+const SESSION_DB_NAME = 'smart-resize';
+const SESSION_DB_VERSION = 1;
+const SESSION_SAVE_DELAY_MS = 1000;
+
+const session = {
+    db: null,                    // Promise of the open database (null inside = unavailable)
+    timer: null,                 // Pending debounced save
+    saving: null,                // Promise of the save in progress
+    queued: false,               // Another save was requested while saving
+    restoring: false,            // Suppress saves while the workspace is rebuilt
+    blobKeys: new WeakMap(),     // Blob -> key it is stored under
+    warned: false,               // Storage-full warning already shown
+};
 
-            dom.widthInput.value = w;
-            dom.heightInput.value = h;
+function initSession() {
+    dom.keepSessionBtn.addEventListener('click', () => dom.sessionNotice.classList.add('hidden'));
+    dom.discardSessionBtn.addEventListener('click', clearAll);
+    dom.clearStorageBtn.addEventListener('click', clearAll);
 
-            state.aspectLocked = wasLocked;
-            updateScalePercent();
+    // Last chance before the page goes away or the tab is frozen
+    const flush = () => {
+        if (session.timer) saveSession();
+    };
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
 
-            showToast(`Preset: ${btn.dataset.name} (${w}×${h})`, 'info');
-        });
+    restoreSession().catch(err => {
+        hideProcessing();
+        console.warn('Could not restore the last session:', err);
+        showToast('Your last session could not be restored', 'error');
     });
 }
 
-// =====================================================
-// FORMAT BUTTONS
-// =====================================================
-function initFormatButtons() {
-    dom.formatBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            dom.formatBtns.forEach(b => b.classList.remove('active'));
-            btn.classList.add('active');
-            state.outputFormat = btn.dataset.format;
-            state.outputExt = btn.dataset.ext;
+function openSessionDb() {
+    if (!session.db) {
+        session.db = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                resolve(null);
+                return;
+            }
+            const request = indexedDB.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                db.createObjectStore('files', { keyPath: 'id' });
+                db.createObjectStore('blobs');
+                db.createObjectStore('meta');
+            };
+            request.onsuccess = () => resolve(request.result);
+            // Private browsing modes may refuse storage; the app works without it
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable:', request.error);
+                resolve(null);
+            };
         });
+    }
+    return session.db;
+}
+
+function requestResult(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
 }
 
-// =====================================================
-// QUALITY SLIDER
-// =====================================================
-function initQualitySlider() {
-    dom.qualitySlider.addEventListener('input', () => {
-        const val = parseInt(dom.qualitySlider.value);
-        state.quality = val / 100;
-        dom.qualityValue.textContent = `${val}%`;
+function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
     });
 }
 
-// =====================================================
-// IMAGE RESIZING (using Pica.js for quality)
-// =====================================================
+function scheduleSessionSave() {
+    if (session.restoring) return;
+    clearTimeout(session.timer);
+    session.timer = setTimeout(saveSession, SESSION_SAVE_DELAY_MS);
+}
 
 /**
- * Resize the currently selected image
+ * Write the workspace now. Overlapping calls are coalesced into one more
+ * save after the current one.
  */
-async function resizeCurrent() {
-    const item = state.files[state.activeIndex];
-    if (!item) return;
+async function saveSession() {
+    clearTimeout(session.timer);
+    session.timer = null;
+    if (session.restoring) return;
+    if (session.saving) {
+        session.queued = true;
+        return session.saving;
+    }
 
-    const targetW = parseInt(dom.widthInput.value);
-    const targetH = parseInt(dom.heightInput.value);
+    session.saving = writeSession()
+        .catch(err => {
+            console.warn('Could not save the session:', err);
+            if (!session.warned) {
+                session.warned = true;
+                showToast('Not enough browser storage to save this session; a reload may lose recent changes', 'error');
+            }
+            renderStorageUsage(null);
+        })
+        .finally(() => {
+            session.saving = null;
+            if (session.queued) {
+                session.queued = false;
+                saveSession();
+            }
+        });
+    return session.saving;
+}
 
-    if (!targetW || !targetH || targetW < 1 || targetH < 1) {
-        showToast('Please enter valid dimensions', 'error');
-        return;
-    }
+async function writeSession() {
+    const db = await openSessionDb();
+    if (!db) return;
+
+    const newBlobs = [];
+    const sizes = new Map();             // Referenced key -> byte size
+    const keyFor = (blob) => {
+        let key = session.blobKeys.get(blob);
+        if (!key) {
+            key = createId('blob');
+            session.blobKeys.set(blob, key);
+            newBlobs.push([key, blob]);
+        }
+        sizes.set(key, blob.size);
+        return key;
+    };
+    const records = state.files.map(item => serializeSessionItem(item, keyFor));
+    const ids = new Set(records.map(r => r.id));
+
+    const tx = db.transaction(['files', 'blobs', 'meta'], 'readwrite');
+    const files = tx.objectStore('files');
+    const blobs = tx.objectStore('blobs');
+    newBlobs.forEach(([key, blob]) => blobs.put(blob, key));
+    records.forEach(record => files.put(record));
+    files.getAllKeys().onsuccess = (e) => {
+        e.target.result.filter(id => !ids.has(id)).forEach(id => files.delete(id));
+    };
+    blobs.getAllKeys().onsuccess = (e) => {
+        e.target.result.filter(key => !sizes.has(key)).forEach(key => blobs.delete(key));
+    };
+    tx.objectStore('meta').put({ activeIndex: state.activeIndex, order: records.map(r => r.id) }, 'workspace');
 
-    if (targetW > 10000 || targetH > 10000) {
-        showToast('Maximum dimension is 10,000px', 'error');
-        return;
+    try {
+        await transactionDone(tx);
+    } catch (err) {
+        // Nothing from this save was stored; write these blobs again next time
+        newBlobs.forEach(([, blob]) => session.blobKeys.delete(blob));
+        throw err;
     }
 
-    showProcessing('Resizing image with high quality...');
-    updateProcessingBar(30);
+    const bytes = [...sizes.values()].reduce((sum, size) => sum + size, 0);
+    renderStorageUsage(bytes);
 
-    try {
-        await resizeImage(item, targetW, targetH);
-        updateProcessingBar(100);
-        await delay(200);
-        hideProcessing();
+    // Ask the browser not to evict the workspace under storage pressure
+    if (records.length && navigator.storage?.persist) navigator.storage.persist().catch(() => {});
+}
 
-        // Update preview and results
-        showPreviewImage(item.resizedUrl);
-        showResults(item);
-        renderFileList();
+/**
+ * Stored form of an item: blobs become keys and page-only fields
+ * (object URLs, preview tokens) are left out
+ */
+function serializeSessionItem(item, keyFor) {
+    const { file, source, originalUrl, editedUrl, previewToken, renditions, ...rest } = item;
+    return {
+        ...rest,
+        file: keyFor(file),
+        source: keyFor(source),
+        renditions: renditions.map(({ url, blob, ...r }) => ({ ...r, blob: keyFor(blob) })),
+    };
+}
 
-        // Show compare button
-        dom.compareToggle.classList.remove('hidden');
+function reviveSessionItem(record, blobs) {
+    const blobFor = (key) => {
+        const blob = blobs.get(key);
+        if (!blob) throw new Error(`Missing stored data for ${record.relativePath}`);
+        session.blobKeys.set(blob, key);
+        return blob;
+    };
+    const source = blobFor(record.source);
+    return {
+        ...record,
+        file: blobFor(record.file),
+        source,
+        originalUrl: URL.createObjectURL(source),
+        editedUrl: null,
+        renditions: record.renditions.map(r => {
+            const blob = blobFor(r.blob);
+            return { ...r, blob, url: URL.createObjectURL(blob) };
+        }),
+        // The batch that queued these files didn't survive the reload
+        status: record.status === 'done' || record.status === 'failed' ? record.status : null,
+    };
+}
 
-        showToast('Image resized successfully!', 'success');
-    } catch (err) {
+/**
+ * Bring back the workspace saved by a previous visit
+ */
+async function restoreSession() {
+    const db = await openSessionDb();
+    if (!db) return;
+
+    const tx = db.transaction(['files', 'blobs', 'meta'], 'readonly');
+    const [workspace, records, keys, values] = await Promise.all([
+        requestResult(tx.objectStore('meta').get('workspace')),
+        requestResult(tx.objectStore('files').getAll()),
+        requestResult(tx.objectStore('blobs').getAllKeys()),
+        requestResult(tx.objectStore('blobs').getAll()),
+    ]);
+    if (!workspace || !records.length || state.files.length) return;
+
+    const blobs = new Map(keys.map((key, i) => [key, values[i]]));
+    const byId = new Map(records.map(r => [r.id, r]));
+    const ordered = workspace.order.map(id => byId.get(id)).filter(Boolean);
+
+    session.restoring = true;
+    showProcessing('Restoring your last session...');
+    let failed = 0;
+    try {
+        for (let i = 0; i < ordered.length; i++) {
+            updateProcessingBar((i / ordered.length) * 100);
+            try {
+                const item = reviveSessionItem(ordered[i], blobs);
+                if (!isIdentityTransform(item.transform) || !isIdentityAdjustments(item.adjustments)) {
+                    await refreshEditedPreview(item);
+                }
+                state.files.push(item);
+            } catch (err) {
+                failed++;
+                console.warn('Could not restore a file:', err);
+            }
+        }
+    } finally {
+        session.restoring = false;
         hideProcessing();
-        showToast('Error resizing image: ' + err.message, 'error');
-        console.error(err);
     }
+
+    if (!state.files.length) return;
+    selectFile(clamp(workspace.activeIndex, 0, state.files.length - 1));
+    renderFileList();
+    showEditor();
+    if (state.files.some(item => item.renditions.length)) dom.compareToggle.classList.remove('hidden');
+
+    const count = state.files.length;
+    dom.sessionNoticeText.textContent = `Restored ${count} image${count > 1 ? 's' : ''} from your last session` +
+        (failed ? ` (${failed} could not be read)` : '');
+    dom.sessionNotice.classList.remove('hidden');
+    if (window.lucide) lucide.createIcons();
 }
 
 /**
- * Resize all images in the batch
+ * "Saved in this browser · 84.2 MB of 2.1 GB available". Called with null
+ * when the last save failed.
  */
-async function resizeAll() {
-    const targetW = parseInt(dom.widthInput.value);
-    const targetH = parseInt(dom.heightInput.value);
+async function renderStorageUsage(bytes) {
+    dom.storageUsage.classList.toggle('hidden', !state.files.length);
+    if (!state.files.length) return;
 
-    if (!targetW || !targetH || targetW < 1 || targetH < 1) {
-        showToast('Please enter valid dimensions', 'error');
+    if (bytes === null) {
+        dom.storageUsageText.textContent = 'Not saved: browser storage is full';
         return;
     }
 
-    showProcessing('Batch resizing...');
-    let completed = 0;
-
+    let text = `Saved in this browser · ${formatBytes(bytes)}`;
     try {
-        for (let i = 0; i < state.files.length; i++) {
-            dom.processingText.textContent = `Resizing image ${i + 1} of ${state.files.length}...`;
-            updateProcessingBar(((i) / state.files.length) * 100);
+        const { quota } = await navigator.storage.estimate();
+        if (quota) text += ` of ${formatBytes(quota)} available`;
+    } catch {
+        // Quota is unknown without the StorageManager API
+    }
+    dom.storageUsageText.textContent = text;
+}
 
-            await resizeImage(state.files[i], targetW, targetH);
-            completed++;
-        }
+// =====================================================
+// UNDO / REDO
+// =====================================================
+// A step is a snapshot of the workspace taken just before an edit: the file
+// list, the selection, the fit mode and each file's editable fields.
+// Snapshots share blobs (sources, renditions) instead of copying them, but
+// a removed file or a replaced result stays in memory for as long as a step
+// refers to it. Whenever a step is recorded, the oldest steps are dropped
+// until the blobs held only by history fit HISTORY_BLOB_BUDGET; the newest
+// step is always kept. Watermark, resampling and the preset library aren't
+// tracked.
+
+const HISTORY_LIMIT = 50;
+const HISTORY_BLOB_BUDGET = 256 * 1024 * 1024;
+const HISTORY_COALESCE_MS = 1000;    // Repeats of one edit closer than this are one step
+const HISTORY_ITEM_FIELDS = [
+    'settings', 'crop', 'transform', 'adjustments', 'naturalWidth', 'naturalHeight',
+    'renditions', 'activeRendition', 'snippet', 'status', 'error',
+];
+
+const editHistory = {
+    undo: [],                    // Steps { label, key, time, snapshot }, oldest first
+    redo: [],
+    busy: false,                 // A snapshot is being restored
+};
 
-        updateProcessingBar(100);
-        await delay(200);
-        hideProcessing();
+function initHistory() {
+    dom.undoBtn.addEventListener('click', undoEdit);
+    dom.redoBtn.addEventListener('click', redoEdit);
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        const redo = (key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey);
+        if (key !== 'z' && !redo) return;
+        // Text fields keep the browser's own undo
+        if (e.target.closest?.('input[type="text"], input[type="search"], textarea, [contenteditable="true"]')) return;
+        e.preventDefault();
+        if (redo) redoEdit();
+        else undoEdit();
+    });
 
-        // Refresh active file view
-        selectFile(state.activeIndex);
-        renderFileList();
+    renderHistoryButtons();
+}
 
-        dom.compareToggle.classList.remove('hidden');
-        showToast(`All ${completed} images resized!`, 'success');
-    } catch (err) {
-        hideProcessing();
-        showToast(`Error during batch resize: ${err.message}`, 'error');
-        console.error(err);
-    }
+function takeSnapshot() {
+    return {
+        activeIndex: state.activeIndex,
+        fitMode: state.fitMode,
+        files: state.files.map(item => {
+            const fields = {};
+            HISTORY_ITEM_FIELDS.forEach(key => { fields[key] = item[key]; });
+            return { item, fields };
+        }),
+    };
 }
 
 /**
- * Core resize logic using Pica.js for high-quality downsampling
+ * Remember the workspace before an edit. Repeating the same edit on the
+ * same file in quick succession (typing, dragging a slider) extends the
+ * last step instead. Returns the new step, or null.
  */
-async function resizeImage(item, targetW, targetH) {
-    // Create source canvas from original image
-    const srcCanvas = document.createElement('canvas');
-    srcCanvas.width = item.naturalWidth;
-    srcCanvas.height = item.naturalHeight;
-    const srcCtx = srcCanvas.getContext('2d');
+function recordHistory(label) {
+    if (editHistory.busy) return null;
+
+    const key = `${label}:${state.files[state.activeIndex]?.id}`;
+    const now = Date.now();
+    const last = editHistory.undo[editHistory.undo.length - 1];
+    if (last && last.key === key && now - last.time < HISTORY_COALESCE_MS && !editHistory.redo.length) {
+        last.time = now;
+        return null;
+    }
 
-    // Draw the original image (using stored img element)
-    const img = new Image();
-    await new Promise((resolve, reject) => {
-        img.onload = resolve;
-        img.onerror = reject;
-        img.src = item.originalUrl;
-    });
-    srcCtx.drawImage(img, 0, 0);
-
-    // Create destination canvas
-    const destCanvas = document.createElement('canvas');
-    destCanvas.width = targetW;
-    destCanvas.height = targetH;
-
-    // Use Pica for high-quality resize if available
-    if (picaInstance) {
-        await picaInstance.resize(srcCanvas, destCanvas, {
-            quality: 3,           // Highest quality (lanczos3)
-            alpha: true,
-            unsharpAmount: 80,
-            unsharpRadius: 0.6,
-            unsharpThreshold: 2,
-        });
-    } else {
-        // Fallback: use canvas drawImage with multi-step downsampling
-        const ctx = destCanvas.getContext('2d');
-        ctx.imageSmoothingEnabled = true;
-        ctx.imageSmoothingQuality = 'high';
-        ctx.drawImage(srcCanvas, 0, 0, targetW, targetH);
+    const step = { label, key, time: now, snapshot: takeSnapshot() };
+    editHistory.undo.push(step);
+    editHistory.redo = [];
+    trimHistory();
+    renderHistoryButtons();
+    return step;
+}
+
+/**
+ * Forget a step whose edit didn't happen after all (e.g. a failed resize)
+ */
+function dropHistoryStep(step) {
+    const { undo } = editHistory;
+    if (step && undo[undo.length - 1] === step) {
+        undo.pop();
+        renderHistoryButtons();
     }
+}
+
+function trimHistory() {
+    const { undo } = editHistory;
+    if (undo.length > HISTORY_LIMIT) undo.splice(0, undo.length - HISTORY_LIMIT);
+    while (undo.length > 1 && getHistoryBytes() > HISTORY_BLOB_BUDGET) undo.shift();
+}
+
+/**
+ * Bytes of blobs that only history keeps alive: replaced results and
+ * removed files
+ */
+function getHistoryBytes() {
+    const live = new Set();
+    state.files.forEach(item => addItemBlobs(live, item, item.renditions));
 
-    // Convert to blob with selected format and quality
-    const blob = await canvasToBlob(destCanvas, state.outputFormat, state.quality);
+    const held = new Set();
+    [...editHistory.undo, ...editHistory.redo].forEach(({ snapshot }) => {
+        snapshot.files.forEach(({ item, fields }) => addItemBlobs(held, item, fields.renditions));
+    });
 
-    // Revoke old URL if exists
-    if (item.resizedUrl) URL.revokeObjectURL(item.resizedUrl);
+    let bytes = 0;
+    held.forEach(blob => {
+        if (!live.has(blob)) bytes += blob.size;
+    });
+    return bytes;
+}
 
-    item.resizedBlob = blob;
-    item.resizedUrl = URL.createObjectURL(blob);
+function addItemBlobs(blobs, item, renditions) {
+    blobs.add(item.file);
+    blobs.add(item.source);
+    renditions.forEach(r => blobs.add(r.blob));
+}
 
-    // Clean up canvases
-    srcCanvas.width = 0;
-    srcCanvas.height = 0;
-    destCanvas.width = 0;
-    destCanvas.height = 0;
+function undoEdit() {
+    return stepHistory(editHistory.undo, editHistory.redo, 'Undone');
+}
 
-    return item;
+function redoEdit() {
+    return stepHistory(editHistory.redo, editHistory.undo, 'Redone');
 }
 
 /**
- * Convert canvas to Blob (async wrapper)
+ * Move one step from one stack to the other, restoring its snapshot and
+ * keeping the current workspace so the step can be reversed
  */
-function canvasToBlob(canvas, format, quality) {
-    // Try Pica's toBlob for better quality
-    if (picaInstance && format !== 'image/png') {
-        return picaInstance.toBlob(canvas, format, quality);
+async function stepHistory(from, to, verb) {
+    // Not while a batch or any other long task is changing the workspace
+    if (editHistory.busy || !from.length || !dom.processingOverlay.classList.contains('hidden')) return;
+
+    const step = from.pop();
+    // time 0: a reversed step is never extended by later edits
+    to.push({ ...step, time: 0, snapshot: takeSnapshot() });
+
+    editHistory.busy = true;
+    try {
+        await restoreSnapshot(step.snapshot);
+        showToast(`${verb}: ${step.label}`, 'info');
+    } catch (err) {
+        showToast(`Could not restore: ${err.message}`, 'error');
+        console.error(err);
+    } finally {
+        editHistory.busy = false;
+        renderHistoryButtons();
     }
+}
 
-    return new Promise((resolve, reject) => {
-        canvas.toBlob(
-            (blob) => blob ? resolve(blob) : reject(new Error('Canvas toBlob failed')),
-            format,
-            quality
-        );
+async function restoreSnapshot(snapshot) {
+    if (state.isCropping) setCropMode(false);
+    if (state.isComparing) toggleComparison();
+
+    const current = new Set(state.files);
+    const restored = new Set(snapshot.files.map(s => s.item));
+
+    // Files leaving the workspace give up their object URLs
+    state.files.forEach(item => {
+        if (restored.has(item)) return;
+        clearRenditions(item);
+        revokePreviewUrls(item);
+    });
+
+    // Returning files, and files whose edits change, need a new preview
+    const stale = [];
+    snapshot.files.forEach(({ item, fields }) => {
+        if (!current.has(item)) {
+            item.originalUrl = URL.createObjectURL(item.source);
+            stale.push(item);
+        } else if (item.transform !== fields.transform || item.adjustments !== fields.adjustments) {
+            stale.push(item);
+        }
+        // The snapshot's rendition URLs may have been revoked since
+        clearRenditions(item);
+        Object.assign(item, fields, {
+            renditions: fields.renditions.map(r => ({ ...r, url: URL.createObjectURL(r.blob) })),
+        });
     });
+
+    state.files = snapshot.files.map(s => s.item);
+    if (state.fitMode !== snapshot.fitMode) setFitMode(snapshot.fitMode);
+
+    for (const item of stale) {
+        try {
+            await refreshEditedPreview(item);
+        } catch (err) {
+            console.warn('Could not refresh preview:', err);
+        }
+    }
+
+    if (!state.files.length) {
+        state.activeIndex = 0;
+        resetWorkspaceView();
+        saveSession();
+        return;
+    }
+
+    selectFile(clamp(snapshot.activeIndex, 0, state.files.length - 1));
+    renderFileList();
+    showEditor();
+    dom.compareToggle.classList.toggle('hidden', !getActiveRendition(state.files[state.activeIndex]));
+}
+
+function renderHistoryButtons() {
+    const undo = editHistory.undo[editHistory.undo.length - 1];
+    const redo = editHistory.redo[editHistory.redo.length - 1];
+    dom.undoBtn.disabled = !undo;
+    dom.redoBtn.disabled = !redo;
+    dom.undoBtn.title = undo ? `Undo ${undo.label} (Ctrl+Z)` : 'Undo (Ctrl+Z)';
+    dom.redoBtn.title = redo ? `Redo ${redo.label} (Ctrl+Shift+Z)` : 'Redo (Ctrl+Shift+Z)';
 }
 
 // =====================================================
@@ -759,8 +4177,9 @@ function showPreviewImage(url) {
 function showResults(item) {
     dom.resultsSection.classList.remove('hidden');
 
+    const info = getActiveRendition(item);
     const origSize = item.originalSize;
-    const resizedSize = item.resizedBlob.size;
+    const resizedSize = info.blob.size;
     const savedBytes = origSize - resizedSize;
     const savedPct = ((savedBytes / origSize) * 100).toFixed(1);
 
@@ -778,6 +4197,24 @@ function showResults(item) {
         dom.savedPercent.classList.add('text-red-500');
     }
 
+    // Dimensions and quality actually used for this output
+    const details = [`${info.width} × ${info.height}`];
+    if (info.label) details.unshift(info.label);
+    if (info.quality !== null) details.push(`${Math.round(info.quality * 100)}% quality`);
+    if (info.targetSize) {
+        details.push(info.targetMet
+            ? `within ${formatBytes(info.targetSize)} target`
+            : `could not reach ${formatBytes(info.targetSize)} target`);
+    }
+    dom.resultDetails.textContent = details.join(' · ');
+    dom.resultDetails.classList.toggle('text-red-500', info.targetMet === false);
+    dom.resultDetails.classList.toggle('text-gray-500', info.targetMet !== false);
+
+    renderRenditionList(item);
+
+    dom.snippetBox.classList.toggle('hidden', !item.snippet);
+    dom.snippetOutput.value = item.snippet || '';
+
     // Animate stat values
     if (window.gsap) {
         gsap.from('.stat-card', {
@@ -793,56 +4230,329 @@ function showResults(item) {
     dom.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
+/**
+ * List every rendition of the item with its own stats and download
+ */
+function renderRenditionList(item) {
+    const { renditionList, downloadSetBtn } = dom;
+    const multiple = item.renditions.length > 1;
+    renditionList.classList.toggle('hidden', !multiple);
+    downloadSetBtn.classList.toggle('hidden', !multiple);
+    renditionList.innerHTML = '';
+    if (!multiple) return;
+
+    item.renditions.forEach((r, index) => {
+        const change = ((r.blob.size / item.originalSize - 1) * 100).toFixed(1);
+        const row = document.createElement('div');
+        row.className = `rendition-row${index === item.activeRendition ? ' active' : ''}`;
+        row.innerHTML = `
+            <span class="rendition-label">${escapeHtml(r.label || 'Custom')}</span>
+            <span class="rendition-meta">${r.width}×${r.height}</span>
+            <span class="rendition-meta">${formatBytes(r.blob.size)}</span>
+            <span class="rendition-meta">${change > 0 ? '+' : ''}${change}%</span>
+            <button class="btn-icon rendition-download" title="Download" aria-label="Download ${r.width}×${r.height}">
+                <i data-lucide="download" class="w-3.5 h-3.5"></i>
+            </button>
+        `;
+
+        // Select to preview
+        row.addEventListener('click', (e) => {
+            if (e.target.closest('.rendition-download')) return;
+            item.activeRendition = index;
+            if (state.isComparing) toggleComparison();
+            showPreviewImage(r.url);
+            showResults(item);
+        });
+
+        row.querySelector('.rendition-download').addEventListener('click', (e) => {
+            e.stopPropagation();
+            triggerDownload(r.url, getOutputFilename(item, r));
+            showToast('Download started!', 'success');
+        });
+
+        renditionList.appendChild(row);
+    });
+
+    if (window.lucide) lucide.createIcons();
+}
+
 // =====================================================
 // DOWNLOAD
 // =====================================================
 function downloadCurrent() {
     const item = state.files[state.activeIndex];
-    if (!item?.resizedBlob) {
+    const rendition = getActiveRendition(item);
+    if (!rendition) {
         showToast('No resized image to download. Resize first!', 'error');
         return;
     }
 
-    const baseName = item.file.name.replace(/\.[^.]+$/, '');
-    const w = parseInt(dom.widthInput.value);
-    const h = parseInt(dom.heightInput.value);
-    const filename = `${baseName}_${w}x${h}.${state.outputExt}`;
-
-    triggerDownload(item.resizedUrl, filename);
+    triggerDownload(rendition.url, getOutputFilename(item, rendition));
     showToast('Download started!', 'success');
 }
 
+/**
+ * Copy the shown rendition to the clipboard. Browsers only guarantee PNG
+ * there, so other formats are converted unless ClipboardItem.supports()
+ * says otherwise. The blob is handed over as a promise so the write still
+ * counts as part of the click (Safari).
+ */
+async function copyCurrent() {
+    const rendition = getActiveRendition(state.files[state.activeIndex]);
+    if (!rendition) {
+        showToast('No resized image to copy. Resize first!', 'error');
+        return;
+    }
+
+    const { blob } = rendition;
+    const native = window.ClipboardItem?.supports ? ClipboardItem.supports(blob.type) : blob.type === 'image/png';
+    const type = native ? blob.type : 'image/png';
+
+    try {
+        await navigator.clipboard.write([new ClipboardItem({ [type]: native ? blob : convertToPng(blob) })]);
+        showToast(native ? 'Image copied to clipboard' : 'Image copied to clipboard as PNG', 'success');
+    } catch (err) {
+        showToast(`Could not copy image: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+async function convertToPng(blob) {
+    const image = await decodeSource(blob);
+    const canvas = createCanvas(image.naturalWidth || image.width, image.naturalHeight || image.height);
+    try {
+        canvas.getContext('2d').drawImage(image, 0, 0);
+        return await canvasToBlob(canvas, 'image/png');
+    } finally {
+        if (image.close) image.close();
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+}
+
+/**
+ * Bundle every rendition of every file into a single ZIP and download it
+ */
 async function downloadAll() {
-    const resizedFiles = state.files.filter(f => f.resizedBlob);
+    const resizedFiles = state.files.filter(f => f.renditions.length);
     if (resizedFiles.length === 0) {
         showToast('No resized images to download', 'error');
         return;
     }
 
-    showProcessing('Preparing downloads...');
-    const w = parseInt(dom.widthInput.value);
-    const h = parseInt(dom.heightInput.value);
+    await downloadZip(resizedFiles, `resized-images_${resizedFiles.length}.zip`);
+}
+
+/**
+ * Bundle all renditions of the selected file into a ZIP
+ */
+async function downloadSet() {
+    const item = state.files[state.activeIndex];
+    if (!item?.renditions.length) {
+        showToast('No resized image to download. Resize first!', 'error');
+        return;
+    }
+
+    const baseName = item.file.name.replace(/\.[^.]+$/, '');
+    await downloadZip([item], `${baseName}_sizes.zip`);
+}
+
+async function downloadZip(items, zipName) {
+    showProcessing('Building ZIP archive...');
+
+    try {
+        const entries = items.flatMap(item => item.renditions.map(r => ({
+            name: getArchivePath(item, r),
+            blob: r.blob,
+            lastModified: new Date(),
+        })));
+
+        const zip = await createZipBlob(entries, (done, total) => {
+            dom.processingText.textContent = `Adding image ${done} of ${total}...`;
+            updateProcessingBar((done / total) * 100);
+        });
+
+        const url = URL.createObjectURL(zip);
+        triggerDownload(url, zipName);
+        // Give the browser time to start reading before releasing the archive
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+
+        hideProcessing();
+        showToast(`${entries.length} images downloaded as ZIP!`, 'success');
+    } catch (err) {
+        hideProcessing();
+        showToast(`Error creating ZIP: ${err.message}`, 'error');
+        console.error(err);
+    }
+}
+
+/**
+ * Download filename for a rendition: name_WxH.ext, from the settings
+ * actually used to produce its blob (icons carry fixed names)
+ */
+function getOutputFilename(item, rendition) {
+    if (rendition.filename) return rendition.filename;
+    const baseName = item.file.name.replace(/\.[^.]+$/, '');
+    return `${baseName}_${rendition.width}x${rendition.height}.${rendition.ext}`;
+}
+
+/**
+ * Path of a rendition inside a ZIP: files from a folder import go back
+ * into the same relative folder
+ */
+function getArchivePath(item, rendition) {
+    const folder = item.relativePath.slice(0, item.relativePath.lastIndexOf('/') + 1);
+    return folder + getOutputFilename(item, rendition);
+}
+
+function triggerDownload(url, filename) {
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+}
+
+// =====================================================
+// ZIP ARCHIVE (stored, no compression)
+// =====================================================
+// Images are already compressed, so entries are stored as-is. The archive
+// is assembled as a Blob of parts that reference the resized blobs directly,
+// and CRCs are computed by streaming each blob, so only one chunk is held
+// in memory at a time regardless of batch size.
+
+const ZIP_MAX_SIZE = 0xFFFFFFFF; // No ZIP64 support
+const ZIP_MAX_ENTRIES = 0xFFFF;   // Entry counts are 16-bit without ZIP64
+
+/**
+ * Build a ZIP Blob from [{ name, blob, lastModified }]
+ */
+async function createZipBlob(entries, onProgress) {
+    if (entries.length > ZIP_MAX_ENTRIES) {
+        throw new Error(`Too many files for one ZIP (max ${ZIP_MAX_ENTRIES.toLocaleString()})`);
+    }
+
+    const parts = [];
+    const central = [];
+    const encoder = new TextEncoder();
+    const usedNames = new Set();
+    let offset = 0;
+
+    for (let i = 0; i < entries.length; i++) {
+        const entry = entries[i];
+        const name = encoder.encode(uniqueZipName(entry.name, usedNames));
+        const crc = await crc32Blob(entry.blob);
+        const size = entry.blob.size;
+        const { time, date } = toDosDateTime(entry.lastModified);
+
+        if (offset + 30 + name.length + size > ZIP_MAX_SIZE) {
+            throw new Error('Archive would exceed 4 GB');
+        }
+
+        // Local file header
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);           // Version needed
+        local.setUint16(6, 0x0800, true);       // UTF-8 filenames
+        local.setUint16(8, 0, true);            // Stored
+        local.setUint16(10, time, true);
+        local.setUint16(12, date, true);
+        local.setUint32(14, crc, true);
+        local.setUint32(18, size, true);
+        local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        local.setUint16(28, 0, true);
+        parts.push(local, name, entry.blob);
+
+        // Central directory record
+        const record = new DataView(new ArrayBuffer(46));
+        record.setUint32(0, 0x02014b50, true);
+        record.setUint16(4, 20, true);          // Version made by
+        record.setUint16(6, 20, true);          // Version needed
+        record.setUint16(8, 0x0800, true);
+        record.setUint16(10, 0, true);
+        record.setUint16(12, time, true);
+        record.setUint16(14, date, true);
+        record.setUint32(16, crc, true);
+        record.setUint32(20, size, true);
+        record.setUint32(24, size, true);
+        record.setUint16(28, name.length, true);
+        record.setUint32(42, offset, true);     // Local header offset
+        central.push(record, name);
+
+        offset += 30 + name.length + size;
+        if (onProgress) onProgress(i + 1, entries.length);
+    }
+
+    const centralSize = central.reduce((sum, part) => sum + part.byteLength, 0);
+    if (offset + centralSize + 22 > ZIP_MAX_SIZE) {
+        throw new Error('Archive would exceed 4 GB');
+    }
+
+    // End of central directory
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+/**
+ * Avoid duplicate paths inside the archive: "a.jpg", "a (2).jpg", ...
+ */
+function uniqueZipName(name, usedNames) {
+    let candidate = name;
+    const dot = name.lastIndexOf('.');
+    const hasExt = dot > name.lastIndexOf('/') + 1;
+    const stem = hasExt ? name.slice(0, dot) : name;
+    const ext = hasExt ? name.slice(dot) : '';
+    for (let n = 2; usedNames.has(candidate.toLowerCase()); n++) {
+        candidate = `${stem} (${n})${ext}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
+
+function toDosDateTime(d) {
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+        date: (Math.max(0, d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+    };
+}
 
-    for (let i = 0; i < resizedFiles.length; i++) {
-        updateProcessingBar(((i + 1) / resizedFiles.length) * 100);
-        const item = resizedFiles[i];
-        const baseName = item.file.name.replace(/\.[^.]+$/, '');
-        const filename = `${baseName}_${w}x${h}.${state.outputExt}`;
-        triggerDownload(item.resizedUrl, filename);
-        await delay(300); // Stagger downloads to avoid browser blocking
-    }
+let crcTable = null;
 
-    hideProcessing();
-    showToast(`${resizedFiles.length} images downloaded!`, 'success');
+function crc32Update(crc, bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            crcTable[n] = c >>> 0;
+        }
+    }
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return crc;
 }
 
-function triggerDownload(url, filename) {
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+/**
+ * CRC-32 of a Blob, read chunk by chunk
+ */
+async function crc32Blob(blob) {
+    let crc = 0xFFFFFFFF;
+    const reader = blob.stream().getReader();
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        crc = crc32Update(crc, value);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
 }
 
 // =====================================================
@@ -866,7 +4576,7 @@ function initZoomControls() {
 
     // Mouse wheel zoom on preview
     dom.previewContainer.addEventListener('wheel', (e) => {
-        if (!dom.previewImage.src) return;
+        if (!dom.previewImage.src || state.isCropping) return;
         e.preventDefault();
         const delta = e.deltaY > 0 ? -0.1 : 0.1;
         state.zoomLevel = Math.max(0.25, Math.min(5, state.zoomLevel + delta));
@@ -875,8 +4585,11 @@ function initZoomControls() {
 }
 
 function applyZoom() {
+    // The crop overlay is laid out against the unzoomed image
+    if (state.isCropping) state.zoomLevel = 1;
     dom.previewImage.style.transform = `scale(${state.zoomLevel})`;
     dom.previewImage.classList.toggle('zoomed', state.zoomLevel !== 1);
+    layoutSafeZone();
 }
 
 // =====================================================
@@ -909,13 +4622,15 @@ function initComparisonSlider() {
 
 function toggleComparison() {
     const item = state.files[state.activeIndex];
-    if (!item?.resizedUrl) return;
+    const rendition = getActiveRendition(item);
+    if (!rendition) return;
+    if (state.isCropping) setCropMode(false);
 
     state.isComparing = !state.isComparing;
 
     if (state.isComparing) {
         dom.compareOriginal.src = item.originalUrl;
-        dom.compareResizedImg.src = item.resizedUrl;
+        dom.compareResizedImg.src = rendition.url;
         dom.comparisonContainer.classList.remove('hidden');
         dom.previewImage.classList.add('hidden');
 
@@ -930,7 +4645,622 @@ function toggleComparison() {
         dom.compareToggle.innerHTML = '<i data-lucide="columns-2" class="w-3.5 h-3.5"></i> Compare';
     }
 
+    layoutSafeZone();
+    if (window.lucide) lucide.createIcons();
+}
+
+// =====================================================
+// ROTATE / FLIP / STRAIGHTEN
+// =====================================================
+// The transform is stored per file and applied by the renderer (see
+// applyTransform() in resize-core.js) ahead of the Pica step. The editor
+// shows a transformed (and color-adjusted) copy, capped in size, in place
+// of the source; the thumbnail and Compare keep the untouched original.
+const IDENTITY_TRANSFORM = { rotate: 0, flipH: false, flipV: false, straighten: 0 };
+const EDIT_PREVIEW_MAX = 2048;
+const EDIT_PREVIEW_QUALITY = 0.9;
+const STRAIGHTEN_DEBOUNCE_MS = 150;
+
+function initTransformTools() {
+    dom.transformBtns.forEach(btn => {
+        btn.addEventListener('click', () => {
+            const item = state.files[state.activeIndex];
+            if (!item) return;
+            const t = item.transform;
+            // Every change applies to the image as currently shown. Mirroring
+            // reverses the direction of any rotation already applied.
+            const mirrored = t.flipH !== t.flipV;
+            switch (btn.dataset.transform) {
+                case 'rotate-left':
+                    updateTransform(item, { rotate: (t.rotate + (mirrored ? 90 : 270)) % 360 });
+                    break;
+                case 'rotate-right':
+                    updateTransform(item, { rotate: (t.rotate + (mirrored ? 270 : 90)) % 360 });
+                    break;
+                case 'flip-h':
+                    updateTransform(item, { flipH: !t.flipH, straighten: -t.straighten });
+                    break;
+                case 'flip-v':
+                    updateTransform(item, { flipV: !t.flipV, straighten: -t.straighten });
+                    break;
+            }
+        });
+    });
+
+    let timer = null;
+    dom.straightenSlider.addEventListener('input', () => {
+        const item = state.files[state.activeIndex];
+        if (!item) return;
+        const angle = parseFloat(dom.straightenSlider.value);
+        dom.straightenValue.textContent = formatAngle(angle);
+        clearTimeout(timer);
+        timer = setTimeout(() => updateTransform(item, { straighten: angle }), STRAIGHTEN_DEBOUNCE_MS);
+    });
+
+    dom.transformReset.addEventListener('click', () => {
+        const item = state.files[state.activeIndex];
+        if (item && !isIdentityTransform(item.transform)) updateTransform(item, IDENTITY_TRANSFORM);
+    });
+}
+
+/**
+ * Apply a partial transform to an item. Its dimensions, crop and preview
+ * follow; quarter turns also swap the output size unless a preset sets it.
+ */
+async function updateTransform(item, changes) {
+    recordHistory('Rotate / flip / straighten');
+    const previous = item.transform;
+    item.transform = { ...previous, ...changes };
+
+    const { width, height } = getTransformedSize(item.sourceWidth, item.sourceHeight, item.transform);
+    item.naturalWidth = width;
+    item.naturalHeight = height;
+    item.crop = null;                    // Crop coordinates no longer line up
+    clearRenditions(item);               // Results show the old orientation
+
+    if ((item.transform.rotate - previous.rotate) % 180 !== 0 && !item.settings.preset) {
+        item.settings = { ...item.settings, width: item.settings.height, height: item.settings.width };
+    }
+
+    try {
+        // Straightening crops the edges, which can change the measured levels
+        if (item.adjustments.autoLevels) {
+            item.adjustments = { ...item.adjustments, levels: await measureItemLevels(item) };
+        }
+        await refreshEditedPreview(item);
+    } catch (err) {
+        showToast(`Could not update preview: ${err.message}`, 'error');
+        console.error(err);
+    }
+
+    if (state.files[state.activeIndex] !== item) return;
+    selectFile(state.activeIndex);
+    syncCropAspect(item);
+    if (state.isCropping) renderCropRect();
+    renderFileList();
+}
+
+/**
+ * Replace the item's editedUrl with an image of the edited source, or drop
+ * it when nothing is edited. originalUrl stays the untouched source for the
+ * thumbnail and Compare. Overlapping calls (e.g. while dragging a slider)
+ * keep only the latest.
+ */
+async function refreshEditedPreview(item) {
+    const token = (item.previewToken || 0) + 1;
+    item.previewToken = token;
+
+    let url = null;
+    if (!isIdentityTransform(item.transform) || !isIdentityAdjustments(item.adjustments)) {
+        const canvas = await renderEditedSource(item, EDIT_PREVIEW_MAX, true);
+        try {
+            // Lossy WebP keeps alpha and encodes much faster than PNG
+            url = URL.createObjectURL(await canvasToBlob(canvas, 'image/webp', EDIT_PREVIEW_QUALITY));
+        } finally {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+    }
+
+    if (item.previewToken !== token) {
+        if (url) URL.revokeObjectURL(url);
+        return;
+    }
+    if (item.editedUrl) URL.revokeObjectURL(item.editedUrl);
+    item.editedUrl = url;
+}
+
+/**
+ * What the editor shows for the item's source
+ */
+function getEditedPreviewUrl(item) {
+    return item.editedUrl || item.originalUrl;
+}
+
+function revokePreviewUrls(item) {
+    URL.revokeObjectURL(item.originalUrl);
+    if (item.editedUrl) URL.revokeObjectURL(item.editedUrl);
+    item.editedUrl = null;
+}
+
+/**
+ * Draw the item's source, transformed, into a new canvas at most maxSize
+ * on its long edge, optionally with its color adjustments applied
+ */
+async function renderEditedSource(item, maxSize, withAdjustments) {
+    const source = await decodeSource(item.source);
+    const scale = Math.min(1, maxSize / Math.max(item.naturalWidth, item.naturalHeight));
+    const canvas = createCanvas(
+        Math.max(1, Math.round(item.naturalWidth * scale)),
+        Math.max(1, Math.round(item.naturalHeight * scale))
+    );
+    try {
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.scale(scale, scale);
+        applyTransform(ctx, item.sourceWidth, item.sourceHeight, item.transform);
+        ctx.drawImage(source, 0, 0);
+        if (withAdjustments && !isIdentityAdjustments(item.adjustments)) {
+            applyAdjustments(ctx, canvas.width, canvas.height, item.adjustments);
+        }
+        return canvas;
+    } finally {
+        if (source.close) source.close();
+    }
+}
+
+function renderTransformControls(item) {
+    const angle = item?.transform.straighten || 0;
+    dom.straightenSlider.value = angle;
+    dom.straightenValue.textContent = formatAngle(angle);
+    dom.transformBtns.forEach(btn => {
+        const { dataset } = btn;
+        btn.classList.toggle('active',
+            (dataset.transform === 'flip-h' && !!item?.transform.flipH) ||
+            (dataset.transform === 'flip-v' && !!item?.transform.flipV));
+    });
+}
+
+function formatAngle(angle) {
+    return `${angle > 0 ? '+' : ''}${Number(angle.toFixed(1))}°`;
+}
+
+// =====================================================
+// COLOR ADJUSTMENTS
+// =====================================================
+// Stored per file and applied by the renderer to the source pixels before
+// resizing (see applyAdjustments() in resize-core.js). Auto levels are
+// measured here, once per file, and stored as levels.
+const NEUTRAL_ADJUSTMENTS = {
+    exposure: 0, brightness: 0, contrast: 0, saturation: 0, temperature: 0, tint: 0,
+    tone: 'none', autoLevels: false, levels: null,
+};
+const LEVELS_SAMPLE_MAX = 512;
+const ADJUST_DEBOUNCE_MS = 150;
+
+function initAdjustments() {
+    let timer = null;
+    dom.adjustSliders.forEach(input => {
+        input.addEventListener('input', () => {
+            const item = state.files[state.activeIndex];
+            if (!item) return;
+            const key = input.dataset.adjust;
+            recordHistory('Color adjustments');
+            item.adjustments = { ...item.adjustments, [key]: parseFloat(input.value) };
+            renderAdjustmentControls(item);
+            clearTimeout(timer);
+            timer = setTimeout(() => adjustmentsChanged(item), ADJUST_DEBOUNCE_MS);
+        });
+    });
+
+    dom.toneBtns.forEach(btn => {
+        btn.addEventListener('click', () => updateAdjustments(state.files[state.activeIndex], { tone: btn.dataset.tone }));
+    });
+
+    dom.autoLevels.addEventListener('change', () => {
+        updateAdjustments(state.files[state.activeIndex], { autoLevels: dom.autoLevels.checked });
+    });
+
+    dom.adjustReset.addEventListener('click', () => {
+        updateAdjustments(state.files[state.activeIndex], NEUTRAL_ADJUSTMENTS);
+    });
+
+    dom.adjustApplyAll.addEventListener('click', applyAdjustmentsToAll);
+}
+
+/**
+ * Merge changes into an item's adjustments, measuring levels when auto
+ * levels is switched on
+ */
+async function updateAdjustments(item, changes) {
+    if (!item) return;
+    recordHistory('Color adjustments');
+    const adjustments = { ...item.adjustments, ...changes };
+    try {
+        if (adjustments.autoLevels && !adjustments.levels) adjustments.levels = await measureItemLevels(item);
+    } catch (err) {
+        showToast(`Could not measure levels: ${err.message}`, 'error');
+        console.error(err);
+        adjustments.autoLevels = false;
+    }
+    if (!adjustments.autoLevels) adjustments.levels = null;
+
+    item.adjustments = adjustments;
+    if (state.files[state.activeIndex] === item) renderAdjustmentControls(item);
+    await adjustmentsChanged(item);
+}
+
+/**
+ * Results and the preview follow the new adjustments
+ */
+async function adjustmentsChanged(item) {
+    clearRenditions(item);
+    try {
+        await refreshEditedPreview(item);
+    } catch (err) {
+        showToast(`Could not update preview: ${err.message}`, 'error');
+        console.error(err);
+    }
+
+    renderFileList();
+    if (state.files[state.activeIndex] !== item) return;
+    dom.resultsSection.classList.add('hidden');
+    if (state.isComparing) toggleComparison();
+    dom.previewImage.src = getEditedPreviewUrl(item);    // Keep the zoom while adjusting
+}
+
+/**
+ * Black / white points of the edited (transformed) source, from a
+ * downscaled copy
+ */
+async function measureItemLevels(item) {
+    const canvas = await renderEditedSource(item, LEVELS_SAMPLE_MAX, false);
+    try {
+        return measureLevels(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+    } finally {
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+}
+
+/**
+ * Copy the selected file's adjustments to every file. Auto levels are
+ * measured for each file rather than copied.
+ */
+async function applyAdjustmentsToAll() {
+    const current = state.files[state.activeIndex];
+    if (!current) return;
+    const { levels, ...adjustments } = current.adjustments;
+
+    recordHistory('Apply adjustments to all');
+    showProcessing('Applying adjustments...');
+    try {
+        for (let i = 0; i < state.files.length; i++) {
+            const item = state.files[i];
+            updateProcessingBar((i / state.files.length) * 100);
+            if (item === current) continue;
+            item.adjustments = {
+                ...adjustments,
+                levels: adjustments.autoLevels ? await measureItemLevels(item) : null,
+            };
+            clearRenditions(item);
+            await refreshEditedPreview(item);
+        }
+        showToast(`Adjustments applied to all ${state.files.length} images`, 'success');
+    } catch (err) {
+        showToast(`Error applying adjustments: ${err.message}`, 'error');
+        console.error(err);
+    }
+    hideProcessing();
+    renderFileList();
+}
+
+function renderAdjustmentControls(item) {
+    const adj = item?.adjustments || NEUTRAL_ADJUSTMENTS;
+    dom.adjustSliders.forEach(input => {
+        const value = adj[input.dataset.adjust];
+        input.value = value;
+        const text = input.dataset.adjust === 'exposure'
+            ? `${value > 0 ? '+' : ''}${value.toFixed(2)} EV`
+            : `${value > 0 ? '+' : ''}${value}`;
+        $(`#${input.id}Value`).textContent = text;
+    });
+    dom.toneBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.tone === adj.tone));
+    dom.autoLevels.checked = adj.autoLevels;
+}
+
+// =====================================================
+// CROP TOOL
+// =====================================================
+const MIN_CROP_SIZE = 16; // Smallest crop edge in source pixels
+
+function initCropTool() {
+    dom.cropToggle.addEventListener('click', () => setCropMode(!state.isCropping));
+
+    dom.cropReset.addEventListener('click', () => {
+        const item = state.files[state.activeIndex];
+        if (!item) return;
+        recordHistory('Clear crop');
+        item.crop = defaultCrop(item, getPresetRatio());
+        renderCropRect();
+        syncCropAspect(item);
+        showToast('Crop cleared', 'info');
+    });
+
+    // Drag to move, drag a corner handle to resize
+    let drag = null;
+
+    dom.cropRect.addEventListener('pointerdown', (e) => {
+        const item = state.files[state.activeIndex];
+        if (!item?.crop) return;
+        e.preventDefault();
+        drag = {
+            step: recordHistory('Crop'),
+            handle: e.target.dataset.handle || 'move',
+            startX: e.clientX,
+            startY: e.clientY,
+            start: { ...item.crop },
+            scale: item.naturalWidth / dom.cropOverlay.getBoundingClientRect().width,
+        };
+        dom.cropRect.setPointerCapture(e.pointerId);
+    });
+
+    dom.cropRect.addEventListener('pointermove', (e) => {
+        if (!drag) return;
+        const item = state.files[state.activeIndex];
+        const dx = (e.clientX - drag.startX) * drag.scale;
+        const dy = (e.clientY - drag.startY) * drag.scale;
+        item.crop = drag.handle === 'move'
+            ? moveCrop(item, drag.start, dx, dy)
+            : resizeCrop(item, drag.start, drag.handle, dx, dy, getPresetRatio());
+        renderCropRect();
+    });
+
+    const endDrag = () => {
+        if (!drag) return;
+        const item = state.files[state.activeIndex];
+        const { x, y, w, h } = drag.start;
+        // A click without a drag leaves nothing to undo
+        if (item.crop.x === x && item.crop.y === y && item.crop.w === w && item.crop.h === h) dropHistoryStep(drag.step);
+        drag = null;
+        syncCropAspect(item);
+    };
+    dom.cropRect.addEventListener('pointerup', endDrag);
+    dom.cropRect.addEventListener('pointercancel', endDrag);
+
+    // Keep the overlay aligned with the displayed image
+    dom.previewImage.addEventListener('load', layoutCropOverlay);
+    window.addEventListener('resize', layoutCropOverlay);
+}
+
+function setCropMode(active) {
+    const item = state.files[state.activeIndex];
+    if (active && item && state.isComparing) toggleComparison();
+    state.isCropping = active && !!item;
+
+    dom.cropOverlay.classList.toggle('hidden', !state.isCropping);
+    dom.cropReset.classList.toggle('hidden', !state.isCropping);
+    dom.cropToggle.innerHTML = state.isCropping
+        ? '<i data-lucide="check" class="w-3.5 h-3.5"></i> Done'
+        : '<i data-lucide="crop" class="w-3.5 h-3.5"></i> Crop';
     if (window.lucide) lucide.createIcons();
+
+    if (!item) return;
+
+    if (state.isCropping) {
+        if (!item.crop) item.crop = defaultCrop(item, getPresetRatio());
+        state.zoomLevel = 1;
+        applyZoom();
+        showPreviewImage(getEditedPreviewUrl(item));
+        requestAnimationFrame(layoutCropOverlay);
+    } else {
+        showPreviewImage(getActiveRendition(item)?.url || getEditedPreviewUrl(item));
+    }
+}
+
+/**
+ * Position the overlay exactly over the displayed preview image
+ */
+function layoutCropOverlay() {
+    if (!state.isCropping) return;
+    const imgRect = dom.previewImage.getBoundingClientRect();
+    const boxRect = dom.previewContainer.getBoundingClientRect();
+    Object.assign(dom.cropOverlay.style, {
+        left: `${imgRect.left - boxRect.left}px`,
+        top: `${imgRect.top - boxRect.top}px`,
+        width: `${imgRect.width}px`,
+        height: `${imgRect.height}px`,
+    });
+    renderCropRect();
+}
+
+function renderCropRect() {
+    const item = state.files[state.activeIndex];
+    if (!state.isCropping || !item?.crop) return;
+    const scale = dom.cropOverlay.getBoundingClientRect().width / item.naturalWidth;
+    Object.assign(dom.cropRect.style, {
+        left: `${item.crop.x * scale}px`,
+        top: `${item.crop.y * scale}px`,
+        width: `${item.crop.w * scale}px`,
+        height: `${item.crop.h * scale}px`,
+    });
+    layoutSafeZone();
+}
+
+/**
+ * Region of the source image used for resizing – the crop, or the whole image
+ */
+function getSourceRegion(item) {
+    return item.crop || { x: 0, y: 0, w: item.naturalWidth, h: item.naturalHeight };
+}
+
+function getPresetRatio() {
+    return state.activePreset ? state.activePreset.w / state.activePreset.h : null;
+}
+
+/**
+ * Largest centered crop of the given ratio, or the whole image when unconstrained
+ */
+function defaultCrop(item, ratio) {
+    return constrainCrop(item, { x: 0, y: 0, w: item.naturalWidth, h: item.naturalHeight }, ratio);
+}
+
+/**
+ * Shrink a crop to the given aspect ratio, keeping it centered on the same point
+ */
+function constrainCrop(item, crop, ratio) {
+    if (!ratio) return { ...crop };
+    let w = crop.w;
+    let h = crop.h;
+    if (w / h > ratio) w = h * ratio;
+    else h = w / ratio;
+    w = Math.max(1, Math.round(w));
+    h = Math.max(1, Math.round(h));
+    const x = clamp(Math.round(crop.x + (crop.w - w) / 2), 0, item.naturalWidth - w);
+    const y = clamp(Math.round(crop.y + (crop.h - h) / 2), 0, item.naturalHeight - h);
+    return { x, y, w, h };
+}
+
+function moveCrop(item, start, dx, dy) {
+    return {
+        x: Math.round(clamp(start.x + dx, 0, item.naturalWidth - start.w)),
+        y: Math.round(clamp(start.y + dy, 0, item.naturalHeight - start.h)),
+        w: start.w,
+        h: start.h,
+    };
+}
+
+/**
+ * Drag one corner while the opposite corner stays anchored
+ */
+function resizeCrop(item, start, handle, dx, dy, ratio) {
+    const movesLeft = handle.includes('w');
+    const movesTop = handle.includes('n');
+
+    let left = movesLeft ? start.x + dx : start.x;
+    let right = movesLeft ? start.x + start.w : start.x + start.w + dx;
+    let top = movesTop ? start.y + dy : start.y;
+    let bottom = movesTop ? start.y + start.h : start.y + start.h + dy;
+
+    left = clamp(left, 0, right - MIN_CROP_SIZE);
+    right = clamp(right, left + MIN_CROP_SIZE, item.naturalWidth);
+    top = clamp(top, 0, bottom - MIN_CROP_SIZE);
+    bottom = clamp(bottom, top + MIN_CROP_SIZE, item.naturalHeight);
+
+    let w = right - left;
+    let h = bottom - top;
+    if (ratio) {
+        if (w / h > ratio) w = h * ratio;
+        else h = w / ratio;
+        if (movesLeft) left = right - w;
+        if (movesTop) top = bottom - h;
+    }
+
+    return {
+        x: Math.round(left),
+        y: Math.round(top),
+        w: Math.max(1, Math.round(w)),
+        h: Math.max(1, Math.round(h)),
+    };
+}
+
+/**
+ * Aspect lock follows the cropped region unless a preset dictates the size
+ */
+function syncCropAspect(item) {
+    if (!item) return;
+    scheduleSessionSave();
+    const { w, h } = getSourceRegion(item);
+    state.aspectRatio = w / h;
+    if (state.aspectLocked && !state.activePreset) {
+        const width = parseInt(dom.widthInput.value);
+        if (!isNaN(width)) dom.heightInput.value = Math.round(width / state.aspectRatio);
+        updateScalePercent();
+        saveActiveSettings();
+    }
+}
+
+// =====================================================
+// SAFE ZONE OVERLAY
+// =====================================================
+function initSafeZone() {
+    dom.safeZoneToggle.addEventListener('click', () => {
+        state.showSafeZone = !state.showSafeZone;
+        dom.safeZoneToggle.setAttribute('aria-pressed', state.showSafeZone);
+        dom.safeZoneToggle.classList.toggle('opacity-50', !state.showSafeZone);
+        layoutSafeZone();
+    });
+
+    dom.previewImage.addEventListener('load', layoutSafeZone);
+    window.addEventListener('resize', layoutSafeZone);
+}
+
+function getActiveSafeZone() {
+    const id = state.activePreset?.id;
+    return BUILT_IN_PRESETS.find(p => p.id === id)?.safeZone || null;
+}
+
+/**
+ * Draw the active preset's safe zone over the part of the preview that
+ * becomes the output. Nothing is shown while comparing.
+ */
+function layoutSafeZone() {
+    const item = state.files[state.activeIndex];
+    const zone = getActiveSafeZone();
+    dom.safeZoneToggle.classList.toggle('hidden', !zone || !item);
+
+    const visible = !!(zone && item && state.showSafeZone && !state.isComparing &&
+        !dom.previewImage.classList.contains('hidden'));
+    dom.safeZoneOverlay.classList.toggle('hidden', !visible);
+    if (!visible) return;
+
+    const frame = getPreviewOutputFrame(item);
+    const imgRect = dom.previewImage.getBoundingClientRect();
+    const boxRect = dom.previewContainer.getBoundingClientRect();
+    Object.assign(dom.safeZoneOverlay.style, {
+        left: `${imgRect.left - boxRect.left + frame.x * imgRect.width}px`,
+        top: `${imgRect.top - boxRect.top + frame.y * imgRect.height}px`,
+        width: `${frame.w * imgRect.width}px`,
+        height: `${frame.h * imgRect.height}px`,
+    });
+
+    const inset = zone.shape === 'circle' ? { top: 0, right: 0, bottom: 0, left: 0 } : zone;
+    Object.assign(dom.safeZone.style, {
+        left: `${inset.left * 100}%`,
+        top: `${inset.top * 100}%`,
+        right: `${inset.right * 100}%`,
+        bottom: `${inset.bottom * 100}%`,
+    });
+    dom.safeZone.classList.toggle('circle', zone.shape === 'circle');
+    dom.safeZoneLabel.textContent = zone.label;
+}
+
+/**
+ * Where the output sits in the displayed preview, as fractions of it. A
+ * rendition is the output itself; on the source the frame is the crop
+ * region fitted to the preset's aspect ratio the way the fit mode does it
+ * ('contain' reaches past the image into the padding).
+ */
+function getPreviewOutputFrame(item) {
+    if (!state.isCropping && dom.previewImage.src !== getEditedPreviewUrl(item)) {
+        return { x: 0, y: 0, w: 1, h: 1 };
+    }
+
+    const region = getSourceRegion(item);
+    const ratio = state.activePreset.w / state.activePreset.h;
+    let { w, h } = region;
+    if (state.fitMode !== 'stretch') {
+        const wider = w / h > ratio;
+        if ((state.fitMode === 'cover') === wider) w = h * ratio;
+        else h = w / ratio;
+    }
+
+    return {
+        x: (region.x + (region.w - w) / 2) / item.naturalWidth,
+        y: (region.y + (region.h - h) / 2) / item.naturalHeight,
+        w: w / item.naturalWidth,
+        h: h / item.naturalHeight,
+    };
 }
 
 // =====================================================
@@ -991,6 +5321,7 @@ function showProcessing(text = 'Processing...') {
 
 function hideProcessing() {
     dom.processingOverlay.classList.add('hidden');
+    dom.cancelBatchBtn.classList.add('hidden');
 }
 
 function updateProcessingBar(percent) {
@@ -1012,6 +5343,13 @@ function initServiceWorker() {
 // UTILITY FUNCTIONS
 // =====================================================
 
+/**
+ * Reasonably unique id that survives a reload, e.g. "file-lq3x9k2a-4f8b1c"
+ */
+function createId(prefix) {
+    return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
 /**
  * Format bytes to human-readable string
  */
@@ -1023,6 +5361,42 @@ function formatBytes(bytes) {
     return `${(bytes / Math.pow(k, i)).toFixed(i > 0 ? 1 : 0)} ${sizes[i]}`;
 }
 
+/**
+ * File extension for an output MIME type, as declared on the format buttons
+ */
+function getFormatExtension(format) {
+    const btn = [...dom.formatBtns].find(b => b.dataset.format === format);
+    return btn ? btn.dataset.ext : format.split('/')[1];
+}
+
+/**
+ * Escape text for use in HTML markup or attributes
+ */
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, (c) => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+    }[c]));
+}
+
+/**
+ * Load a URL into an <img> element and wait for it to decode
+ */
+function loadImageElement(url) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = url;
+    });
+}
+
+/**
+ * Clamp a number into [min, max]
+ */
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
+
 /**
  * Async delay helper
  */
@@ -3,7 +3,7 @@
  * Provides offline support and caching for the PWA
  */
 
-const CACHE_NAME = 'smart-resize-v1';
+const CACHE_NAME = 'smart-resize-v4';
 
 // Assets to pre-cache for offline use
 const PRECACHE_URLS = [
@@ -11,7 +11,15 @@ const PRECACHE_URLS = [
     './index.html',
     './style.css',
     './script.js',
+    './resize-core.js',
+    './resize-worker.js',
+    './animation.js',
     './manifest.json',
+    './vendor/libheif-js/libheif-bundle.js',
+    './vendor/jsquash-avif/decode.js',
+    './vendor/jsquash-avif/utils.js',
+    './vendor/jsquash-avif/codec/dec/avif_dec.js',
+    './vendor/jsquash-avif/codec/dec/avif_dec.wasm',
 ];
 
 // CDN resources to cache on first use